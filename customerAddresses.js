@@ -0,0 +1,373 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script normaliza el domicilio de los clientes (Provincia, Localidad y CodPostal) contra un
+ * catálogo de provincias y localidades argentinas. Al terminar cada importación escribe los valores
+ * normalizados en columnas propias de la hoja de clientes, sin modificar los importados, controla que
+ * el código postal corresponda a la provincia y genera la hoja "Domicilios a Revisar" con lo que no
+ * se pudo resolver. El catálogo incluido se amplía con la hoja "Catálogo Localidades".
+ */
+
+const CUST_ADDRESS_REVIEW_SHEET_NAME   = 'Domicilios a Revisar'; // Nombre de la hoja con los domicilios no resueltos
+const CUST_ADDRESS_REVIEW_HEADERS      = ['Cód. Cliente', 'Razón Social', 'Vendedor', 'Provincia', 'Localidad', 'Cód. Postal', 'Motivos'];
+const CUST_LOCALITY_CATALOG_SHEET_NAME = 'Catálogo Localidades'; // Localidades que se agregan al catálogo incluido
+const CUST_LOCALITY_CATALOG_HEADERS    = ['Provincia', 'Localidad', 'Cód. Postal'];
+const CUST_ADDRESS_OK                  = 'Normalizado'; // Validación de los domicilios sin observaciones
+
+/**
+ * Provincias argentinas:
+ * - name: nombre normalizado.
+ * - aliases: otras formas en que figura en el ERP (se comparan sin acentos, mayúsculas ni puntuación).
+ * - letter: letra de la provincia en el Código Postal Argentino (CPA).
+ * - ranges: rangos de los códigos postales de 4 dígitos de la provincia. Algunos rangos se superponen
+ *   entre provincias limítrofes; el control solo verifica que el código esté en alguno de ellos.
+ */
+const CUST_PROVINCES = [
+  { name: 'Ciudad Autónoma de Buenos Aires', letter: 'C', ranges: [[1000, 1499]],
+    aliases: ['CABA', 'C.A.B.A.', 'Capital Federal', 'Cap. Fed.', 'Capital', 'Ciudad de Buenos Aires'] },
+  { name: 'Buenos Aires', letter: 'B', ranges: [[1600, 1999], [2700, 2819], [2900, 2949], [6000, 6799], [7000, 7699], [8000, 8199], [8500, 8512]],
+    aliases: ['Bs As', 'Bs. As.', 'Bsas', 'Pcia. de Buenos Aires', 'Provincia de Buenos Aires', 'PBA', 'Gran Buenos Aires', 'GBA'] },
+  { name: 'Catamarca', letter: 'K', ranges: [[4700, 4751], [5260, 5345]], aliases: [] },
+  { name: 'Chaco', letter: 'H', ranges: [[3500, 3549], [3700, 3749]], aliases: [] },
+  { name: 'Chubut', letter: 'U', ranges: [[9000, 9299]], aliases: [] },
+  { name: 'Córdoba', letter: 'X', ranges: [[2400, 2599], [5000, 5299], [5800, 5999], [6100, 6279]], aliases: ['Cba', 'Cba.'] },
+  { name: 'Corrientes', letter: 'W', ranges: [[3220, 3234], [3400, 3499]], aliases: ['Ctes', 'Ctes.'] },
+  { name: 'Entre Ríos', letter: 'E', ranges: [[2820, 2854], [3100, 3299]], aliases: ['E. Ríos', 'ER'] },
+  { name: 'Formosa', letter: 'P', ranges: [[3600, 3699]], aliases: [] },
+  { name: 'Jujuy', letter: 'Y', ranges: [[4500, 4519], [4600, 4699]], aliases: [] },
+  { name: 'La Pampa', letter: 'L', ranges: [[6200, 6399], [8200, 8299]], aliases: [] },
+  { name: 'La Rioja', letter: 'F', ranges: [[5300, 5399]], aliases: [] },
+  { name: 'Mendoza', letter: 'M', ranges: [[5500, 5699]], aliases: ['Mza', 'Mza.'] },
+  { name: 'Misiones', letter: 'N', ranges: [[3300, 3399]], aliases: [] },
+  { name: 'Neuquén', letter: 'Q', ranges: [[8300, 8399]], aliases: ['Nqn'] },
+  { name: 'Río Negro', letter: 'R', ranges: [[8300, 8599]], aliases: ['R. Negro', 'RN'] },
+  { name: 'Salta', letter: 'A', ranges: [[4400, 4599]], aliases: [] },
+  { name: 'San Juan', letter: 'J', ranges: [[5400, 5499]], aliases: ['S. Juan'] },
+  { name: 'San Luis', letter: 'D', ranges: [[5700, 5799], [5881, 5883], [6216, 6279]], aliases: ['S. Luis'] },
+  { name: 'Santa Cruz', letter: 'Z', ranges: [[9011, 9017], [9300, 9499]], aliases: ['Sta. Cruz', 'Sta Cruz'] },
+  { name: 'Santa Fe', letter: 'S', ranges: [[2000, 2699], [2912, 2921], [3000, 3099], [3550, 3599], [6100, 6109]], aliases: ['Sta. Fe', 'Sta Fe', 'Santa Fé'] },
+  { name: 'Santiago del Estero', letter: 'G', ranges: [[4200, 4399]], aliases: ['Sgo. del Estero', 'Stgo. del Estero', 'Sgo del Estero', 'SDE'] },
+  { name: 'Tierra del Fuego', letter: 'V', ranges: [[9410, 9421]],
+    aliases: ['TDF', 'T. del Fuego', 'Tierra del Fuego, Antártida e Islas del Atlántico Sur'] },
+  { name: 'Tucumán', letter: 'T', ranges: [[4000, 4199]], aliases: ['Tuc', 'Tuc.'] }
+];
+
+/**
+ * Localidades incluidas, por provincia: [nombre, código postal de 4 dígitos]. Son las ciudades
+ * principales; las demás se agregan en la hoja CUST_LOCALITY_CATALOG_SHEET_NAME.
+ */
+const CUST_LOCALITIES = {
+  'Ciudad Autónoma de Buenos Aires': [['Ciudad Autónoma de Buenos Aires', '1000']],
+  'Buenos Aires': [
+    ['La Plata', '1900'], ['Mar del Plata', '7600'], ['Bahía Blanca', '8000'], ['Tandil', '7000'], ['Quilmes', '1878'],
+    ['Lanús', '1824'], ['Avellaneda', '1870'], ['Lomas de Zamora', '1832'], ['Morón', '1708'], ['San Isidro', '1642'],
+    ['Pilar', '1629'], ['Luján', '6700'], ['Junín', '6000'], ['Pergamino', '2700'], ['San Nicolás de los Arroyos', '2900'],
+    ['Olavarría', '7400'], ['Necochea', '7630'], ['Zárate', '2800'], ['Campana', '2804'], ['Tigre', '1648']
+  ],
+  'Catamarca': [['San Fernando del Valle de Catamarca', '4700'], ['Andalgalá', '4740'], ['Tinogasta', '5340']],
+  'Chaco': [['Resistencia', '3500'], ['Presidencia Roque Sáenz Peña', '3700'], ['Villa Ángela', '3540']],
+  'Chubut': [['Rawson', '9103'], ['Comodoro Rivadavia', '9000'], ['Trelew', '9100'], ['Puerto Madryn', '9120'], ['Esquel', '9200']],
+  'Córdoba': [
+    ['Córdoba', '5000'], ['Río Cuarto', '5800'], ['Villa María', '5900'], ['San Francisco', '2400'], ['Villa Carlos Paz', '5152'],
+    ['Bell Ville', '2550'], ['Marcos Juárez', '2580'], ['Alta Gracia', '5186'], ['Jesús María', '5220']
+  ],
+  'Corrientes': [['Corrientes', '3400'], ['Goya', '3450'], ['Paso de los Libres', '3230'], ['Mercedes', '3470']],
+  'Entre Ríos': [['Paraná', '3100'], ['Concordia', '3200'], ['Gualeguaychú', '2820'], ['Concepción del Uruguay', '3260'], ['Victoria', '3153']],
+  'Formosa': [['Formosa', '3600'], ['Clorinda', '3610']],
+  'Jujuy': [['San Salvador de Jujuy', '4600'], ['San Pedro de Jujuy', '4500'], ['Palpalá', '4612']],
+  'La Pampa': [['Santa Rosa', '6300'], ['General Pico', '6360']],
+  'La Rioja': [['La Rioja', '5300'], ['Chilecito', '5360']],
+  'Mendoza': [['Mendoza', '5500'], ['San Rafael', '5600'], ['Godoy Cruz', '5501'], ['Guaymallén', '5519'], ['Luján de Cuyo', '5507'], ['Maipú', '5515']],
+  'Misiones': [['Posadas', '3300'], ['Oberá', '3360'], ['Eldorado', '3380'], ['Puerto Iguazú', '3370']],
+  'Neuquén': [['Neuquén', '8300'], ['Cutral Có', '8322'], ['Zapala', '8340'], ['San Martín de los Andes', '8370']],
+  'Río Negro': [['Viedma', '8500'], ['San Carlos de Bariloche', '8400'], ['General Roca', '8332'], ['Cipolletti', '8324']],
+  'Salta': [['Salta', '4400'], ['San Ramón de la Nueva Orán', '4530'], ['Tartagal', '4560']],
+  'San Juan': [['San Juan', '5400'], ['Rivadavia', '5400'], ['Rawson', '5425']],
+  'San Luis': [['San Luis', '5700'], ['Villa Mercedes', '5730'], ['Merlo', '5881']],
+  'Santa Cruz': [['Río Gallegos', '9400'], ['Caleta Olivia', '9011'], ['El Calafate', '9405']],
+  'Santa Fe': [
+    ['Santa Fe', '3000'], ['Rosario', '2000'], ['Rafaela', '2300'], ['Venado Tuerto', '2600'], ['Reconquista', '3560'],
+    ['Villa Constitución', '2919'], ['Casilda', '2170'], ['Esperanza', '3080'], ['Cañada de Gómez', '2500']
+  ],
+  'Santiago del Estero': [['Santiago del Estero', '4200'], ['La Banda', '4300'], ['Termas de Río Hondo', '4220']],
+  'Tierra del Fuego': [['Ushuaia', '9410'], ['Río Grande', '9420']],
+  'Tucumán': [['San Miguel de Tucumán', '4000'], ['Yerba Buena', '4107'], ['Tafí Viejo', '4103'], ['Concepción', '4146']]
+};
+
+// Sinónimos de localidades, por provincia
+const CUST_LOCALITY_ALIASES = {
+  'Ciudad Autónoma de Buenos Aires': { 'Ciudad Autónoma de Buenos Aires': ['CABA', 'Capital Federal', 'Capital', 'Buenos Aires'] },
+  'Catamarca': { 'San Fernando del Valle de Catamarca': ['Catamarca'] },
+  'Chaco': { 'Presidencia Roque Sáenz Peña': ['Sáenz Peña', 'Pcia. Roque Sáenz Peña'] },
+  'Buenos Aires': { 'San Nicolás de los Arroyos': ['San Nicolás'] },
+  'Jujuy': { 'San Salvador de Jujuy': ['Jujuy'] },
+  'Río Negro': { 'San Carlos de Bariloche': ['Bariloche'] },
+  'Salta': { 'San Ramón de la Nueva Orán': ['Orán'] },
+  'Tucumán': { 'San Miguel de Tucumán': ['Tucumán'] }
+};
+
+// Prefijos que se quitan del nombre de la provincia antes de buscarla
+const CUST_PROVINCE_PREFIXES = ['provincia de ', 'pcia de ', 'prov de ', 'provincia ', 'pcia ', 'prov '];
+
+/**
+ * Normaliza un nombre para compararlo: sin acentos, en minúsculas, sin puntuación y con un solo espacio.
+ * @param {*} value - El nombre.
+ * @returns {string} - El nombre normalizado.
+ */
+function normalizeAddressKeyCust(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Arma el índice del catálogo de provincias y localidades, con las localidades de la hoja
+ * CUST_LOCALITY_CATALOG_SHEET_NAME agregadas a las incluidas.
+ * @returns {Object} - { provinces, byLetter, localities }: provinces y byLetter buscan la provincia por
+ *                     nombre o alias normalizado y por letra del CPA; localities, por nombre de provincia,
+ *                     busca { name, postalCode } por nombre o alias normalizado de la localidad.
+ */
+function buildAddressCatalogCust() {
+  const catalog = { provinces: new Map(), byLetter: new Map(), localities: new Map() };
+
+  CUST_PROVINCES.forEach(province => {
+    [province.name].concat(province.aliases).forEach(alias => catalog.provinces.set(normalizeAddressKeyCust(alias), province));
+    catalog.byLetter.set(province.letter, province);
+    catalog.localities.set(province.name, new Map());
+  });
+
+  const addLocality = (provinceName, name, postalCode, aliases) => {
+    const localities = catalog.localities.get(provinceName);
+    const locality   = { name: name, postalCode: String(postalCode).trim() };
+    [name].concat(aliases || []).forEach(alias => {
+      const key = normalizeAddressKeyCust(alias);
+      if (!localities.has(key)) localities.set(key, locality);
+    });
+  };
+
+  Object.keys(CUST_LOCALITIES).forEach(provinceName => {
+    const aliases = CUST_LOCALITY_ALIASES[provinceName] || {};
+    CUST_LOCALITIES[provinceName].forEach(entry => addLocality(provinceName, entry[0], entry[1], aliases[entry[0]]));
+  });
+
+  readLocalityCatalogCust().forEach(entry => {
+    const province = findProvinceCust(catalog, entry.province);
+    if (province) addLocality(province.name, entry.locality, entry.postalCode);
+  });
+
+  return catalog;
+}
+
+/**
+ * Obtiene la hoja del catálogo de localidades, creándola con sus encabezados si no existe.
+ * @returns {Sheet} - La hoja del catálogo.
+ */
+function getLocalityCatalogSheetCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_LOCALITY_CATALOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_LOCALITY_CATALOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUST_LOCALITY_CATALOG_HEADERS.length).setValues([CUST_LOCALITY_CATALOG_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Lee las localidades agregadas en la hoja del catálogo.
+ * @returns {Array<Object>} - Una localidad por fila: { province, locality, postalCode }.
+ */
+function readLocalityCatalogCust() {
+  const sheet = getLocalityCatalogSheetCust();
+  if (sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_LOCALITY_CATALOG_HEADERS.length).getValues()
+    .map(row => ({ province: String(row[0]).trim(), locality: String(row[1]).trim(), postalCode: String(row[2]).trim() }))
+    .filter(entry => entry.province !== '' && entry.locality !== '');
+}
+
+/**
+ * Busca una provincia del catálogo por nombre o alias.
+ * @param {Object} catalog - El catálogo (ver buildAddressCatalogCust).
+ * @param {*} value - La provincia tal como figura en el cliente.
+ * @returns {Object|undefined} - La provincia (ver CUST_PROVINCES).
+ */
+function findProvinceCust(catalog, value) {
+  const key = normalizeAddressKeyCust(value);
+  if (catalog.provinces.has(key)) return catalog.provinces.get(key);
+
+  const prefix = CUST_PROVINCE_PREFIXES.find(candidate => key.indexOf(candidate) === 0);
+  return prefix ? catalog.provinces.get(key.slice(prefix.length)) : undefined;
+}
+
+/**
+ * Obtiene el nombre normalizado de una provincia, para agrupar a los clientes.
+ * @param {Object} catalog - El catálogo (ver buildAddressCatalogCust).
+ * @param {*} value - La provincia tal como figura en el cliente.
+ * @returns {string} - El nombre del catálogo o, si no se reconoce, el valor importado.
+ */
+function getNormalizedProvinceCust(catalog, value) {
+  const province = findProvinceCust(catalog, value);
+  return province ? province.name : String(value).trim();
+}
+
+/**
+ * Interpreta un código postal de 4 dígitos o CPA (letra de provincia, 4 dígitos y 3 letras de manzana).
+ * @param {*} value - El código postal tal como figura en el cliente.
+ * @returns {Object} - { code, letter, number }: code es el código en mayúsculas y sin espacios ni
+ *                     puntuación, letter la letra de provincia ('' si no tiene) y number los 4 dígitos
+ *                     ('' si el código no tiene un formato reconocido).
+ */
+function parsePostalCodeCust(value) {
+  const code  = String(value === null || value === undefined ? '' : value).toUpperCase().replace(/[\s.\-]/g, '');
+  const match = code.match(/^([A-Z])?(\d{4})([A-Z]{3})?$/);
+  if (!match || (match[3] && !match[1])) return { code: code, letter: '', number: '' };
+  return { code: code, letter: match[1] || '', number: match[2] };
+}
+
+/**
+ * Indica si un código postal de 4 dígitos está en alguno de los rangos de una provincia.
+ * @param {Object} province - La provincia (ver CUST_PROVINCES).
+ * @param {string} number - Los 4 dígitos del código postal.
+ * @returns {boolean} - true si el código corresponde a la provincia.
+ */
+function postalCodeFitsProvinceCust(province, number) {
+  const value = Number(number);
+  return province.ranges.some(range => value >= range[0] && value <= range[1]);
+}
+
+/**
+ * Normaliza el domicilio de un cliente. Si la provincia no se reconoce pero el código postal es un
+ * CPA, se toma la provincia de su letra. Si la localidad está en el catálogo y el cliente no tiene
+ * código postal, se completa con el de la localidad.
+ * @param {Object} catalog - El catálogo (ver buildAddressCatalogCust).
+ * @param {Object} customer - El cliente (ver getCustomerRecordsCust).
+ * @returns {Object} - { province, locality, postalCode, issues }: los valores normalizados ('' si no se
+ *                     pudo resolver la provincia) y los motivos por los que el domicilio se debe revisar.
+ */
+function normalizeCustomerAddressCust(catalog, customer) {
+  const issues      = [];
+  const postal      = parsePostalCodeCust(customer.CodPostal);
+  const rawLocality = String(customer.Localidad).trim();
+  let   province    = findProvinceCust(catalog, customer.Provincia);
+
+  if (!province && postal.letter) province = catalog.byLetter.get(postal.letter);
+  if (!province) {
+    issues.push(String(customer.Provincia).trim() === '' ? 'Sin provincia' : `Provincia "${customer.Provincia}" no reconocida`);
+  }
+
+  let locality   = rawLocality;
+  let postalCode = postal.code;
+  if (rawLocality === '') {
+    issues.push('Sin localidad');
+  } else if (province) {
+    const found = catalog.localities.get(province.name).get(normalizeAddressKeyCust(rawLocality));
+    if (found) {
+      locality = found.name;
+      if (postalCode === '') postalCode = found.postalCode;
+    } else {
+      issues.push(`Localidad "${rawLocality}" no está en el catálogo de ${province.name}`);
+    }
+  }
+
+  if (postal.code === '') {
+    if (postalCode === '') issues.push('Sin código postal');
+  } else if (postal.number === '') {
+    issues.push(`Código postal "${customer.CodPostal}" con formato no reconocido`);
+  } else if (province) {
+    if (postal.letter && postal.letter !== province.letter) {
+      issues.push(`El código postal ${postal.code} es de ${catalog.byLetter.has(postal.letter) ? catalog.byLetter.get(postal.letter).name : 'otra provincia'}`);
+    } else if (!postal.letter && !postalCodeFitsProvinceCust(province, postal.number)) {
+      issues.push(`El código postal ${postal.code} no corresponde a ${province.name}`);
+    }
+  }
+
+  return { province: province ? province.name : '', locality: locality, postalCode: postalCode, issues: issues };
+}
+
+/**
+ * Normaliza el domicilio de todos los clientes de la hoja, escribe los valores normalizados en las
+ * columnas CUST_ADDRESS_HEADERS y genera la hoja de domicilios a revisar con los clientes activos.
+ * @returns {Object} - { checked, review } con la cantidad de clientes normalizados y de domicilios a revisar.
+ */
+function updateNormalizedAddressesCust() {
+  const sheetCust = getCustomerSheetCust();
+  const customers = getCustomerRecordsCust();
+  const lastRow   = sheetCust.getLastRow();
+  const width     = CUST_ADDRESS_HEADERS.length;
+  const catalog   = buildAddressCatalogCust();
+
+  sheetCust.getRange(1, CUST_ADDRESS_COLUMN, 1, width).setValues([CUST_ADDRESS_HEADERS]).setFontWeight('bold');
+  const review = [];
+  if (lastRow >= 2) {
+    // Las filas sin CodCliente quedan con las columnas normalizadas vacías
+    const values = Array.from({ length: lastRow - 1 }, () => Array(width).fill(''));
+    customers.forEach(customer => {
+      const address = normalizeCustomerAddressCust(catalog, customer);
+      const status  = address.issues.length === 0 ? CUST_ADDRESS_OK : `A revisar: ${address.issues.join('; ')}`;
+      values[customer.row - 2] = [address.province, address.locality, address.postalCode, status];
+      if (address.issues.length > 0 && customer.status !== CUST_STATUS_INACTIVE) {
+        review.push({ customer: customer, issues: address.issues });
+      }
+    });
+
+    const batch = createSheetsBatch('Clientes: domicilios normalizados');
+    batch.setNumberFormats(sheetCust, 2, values.length, CUST_ADDRESS_COLUMN + 2, ['@']); // Código postal como texto
+    batch.setValues(sheetCust, 2, CUST_ADDRESS_COLUMN, values);
+    batch.commit();
+  }
+  buildAddressReviewSheetCust(review);
+
+  CustomLogger.log(`Domicilios normalizados: ${customers.length} clientes, ${review.length} a revisar`);
+  return { checked: customers.length, review: review.length };
+}
+
+/**
+ * Genera la hoja de domicilios a revisar.
+ * @param {Array<Object>} review - Los clientes a revisar: { customer, issues }.
+ */
+function buildAddressReviewSheetCust(review) {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CUST_ADDRESS_REVIEW_SHEET_NAME) || ss.insertSheet(CUST_ADDRESS_REVIEW_SHEET_NAME);
+
+  const rows = review.map(item => [
+    item.customer.CodCliente,
+    item.customer.RazonSocialdelCliente,
+    item.customer.Vendedor,
+    item.customer.Provincia,
+    item.customer.Localidad,
+    item.customer.CodPostal,
+    item.issues.join('; ')
+  ]);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, CUST_ADDRESS_REVIEW_HEADERS.length).setValues([CUST_ADDRESS_REVIEW_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 6, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, CUST_ADDRESS_REVIEW_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Normaliza los domicilios desde el menú y muestra la hoja de domicilios a revisar.
+ */
+function updateNormalizedAddressesFromMenuCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = updateNormalizedAddressesCust();
+    const ss     = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(CUST_ADDRESS_REVIEW_SHEET_NAME));
+    ui.alert(
+      'Domicilios de Clientes',
+      `Se normalizaron ${result.checked} domicilios. ${result.review} clientes activos tienen datos a revisar. ` +
+      `Las localidades que falten se agregan en la hoja "${CUST_LOCALITY_CATALOG_SHEET_NAME}".`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudieron normalizar los domicilios: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script detecta los clientes que cambian de situación crediticia entre importaciones
+ * (moroso, en gestión judicial, incobrable, inhabilitado o por encima de su crédito máximo)
+ * y envía a cada vendedor un resumen por correo con sus clientes afectados.
+ */
+
+const CUST_ALERTS_SHEET_NAME  = 'Alertas de Crédito'; // Hoja con las alertas detectadas y su envío
+const CUST_ALERTS_HEADERS     = [
+  'Fecha Importación', 'Archivo', 'Cód. Cliente', 'Razón Social', 'Cód. Vendedor', 'Vendedor', 'Alerta',
+  'Crédito Máximo', 'Exposición Total', 'Crédito Vencido', 'Enviado'
+];
+const CUST_VENDORS_SHEET_NAME = 'Vendedores'; // Hoja mantenida a mano con el correo de cada vendedor
+const CUST_VENDORS_HEADERS    = ['Cód. Vendedor', 'Vendedor', 'Email'];
+
+/**
+ * Situaciones que generan una alerta cuando el cliente entra en ellas.
+ * Reciben el cliente como objeto (ver customerRowToRecordCust).
+ */
+const CUST_CREDIT_ALERT_RULES = [
+  { alert: 'Pasó a moroso',              applies: c => c.SF_Moroso === true },
+  { alert: 'Pasó a gestión judicial',    applies: c => c.SF_Engestionjudicial === true },
+  { alert: 'Pasó a incobrable',          applies: c => c.SF_Incobrable === true },
+  { alert: 'Fue inhabilitado',           applies: c => c.Habilitado === false },
+  { alert: 'Excede su crédito máximo',   applies: c => c.ControlaCredito === true && computeCustomerRiskCust(c).overLimit }
+];
+
+let custMailSender = null; // Servicio de envío en uso (ver getCustomerMailSenderCust)
+
+/**
+ * Obtiene el servicio de envío de correos. Por defecto usa MailApp.
+ * @returns {Object} - Un objeto con send({ to, subject, body, htmlBody }) y remainingQuota().
+ */
+function getCustomerMailSenderCust() {
+  if (!custMailSender) {
+    custMailSender = {
+      send: message => MailApp.sendEmail(message),
+      remainingQuota: () => MailApp.getRemainingDailyQuota()
+    };
+  }
+  return custMailSender;
+}
+
+/**
+ * Reemplaza el servicio de envío de correos, por ejemplo por el de createFakeMailSenderCust.
+ * @param {Object|null} sender - El servicio de envío, o null para volver a MailApp.
+ */
+function setCustomerMailSenderCust(sender) {
+  custMailSender = sender;
+}
+
+/**
+ * Crea un servicio de envío que no envía correos: los guarda en "sent" y los registra en el log.
+ * @returns {Object} - El servicio de envío, con la lista de mensajes en sent.
+ */
+function createFakeMailSenderCust() {
+  const sender = {
+    sent: [],
+    send: message => {
+      sender.sent.push(message);
+      CustomLogger.log(`Correo simulado para ${message.to}: ${message.subject}`);
+    },
+    remainingQuota: () => Infinity
+  };
+  return sender;
+}
+
+/**
+ * Compara la fila anterior y la nueva de un cliente y devuelve las alertas de las situaciones
+ * en las que el cliente entró con esta importación.
+ * @param {Array} oldRow - La fila anterior (campos importados + estado).
+ * @param {Array} newRow - La fila nueva (campos importados + estado).
+ * @returns {Array<string>} - Las alertas.
+ */
+function detectCreditStatusChangesCust(oldRow, newRow) {
+  const before = customerRowToRecordCust(oldRow);
+  const after  = customerRowToRecordCust(newRow);
+  return CUST_CREDIT_ALERT_RULES
+    .filter(rule => rule.applies(after) && !rule.applies(before))
+    .map(rule => rule.alert);
+}
+
+/**
+ * Registra como pendientes de envío las alertas de las filas modificadas en una importación.
+ * @param {Array<Object>} updatedRows - Las filas modificadas ({ oldRow, newRow }, ver upsertCustomerRowsCust).
+ * @param {Date} importedAt - La fecha y hora de la importación.
+ * @param {string} fileName - El nombre del archivo importado.
+ * @returns {number} - La cantidad de alertas registradas.
+ */
+function recordCreditAlertsCust(updatedRows, importedAt, fileName) {
+  const rows = [];
+  updatedRows.forEach(pair => {
+    const customer = customerRowToRecordCust(pair.newRow);
+    detectCreditStatusChangesCust(pair.oldRow, pair.newRow).forEach(alert => {
+      const risk = computeCustomerRiskCust(customer);
+      rows.push([
+        importedAt, fileName, customer.CodCliente, customer.RazonSocialdelCliente, customer.CodVendedor,
+        customer.Vendedor, alert, risk.creditMax, risk.exposure, risk.overdue, ''
+      ]);
+    });
+  });
+  if (rows.length === 0) return 0;
+
+  const sheet = getCreditAlertsSheetCust();
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, CUST_ALERTS_HEADERS.length).setValues(rows);
+  return rows.length;
+}
+
+/**
+ * Obtiene la hoja de alertas, creándola con sus encabezados si no existe.
+ * @returns {Sheet} - La hoja de alertas.
+ */
+function getCreditAlertsSheetCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_ALERTS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_ALERTS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUST_ALERTS_HEADERS.length).setValues([CUST_ALERTS_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Obtiene la hoja de vendedores, creándola con sus encabezados si no existe.
+ * @returns {Sheet} - La hoja de vendedores.
+ */
+function getVendorsSheetCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_VENDORS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_VENDORS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUST_VENDORS_HEADERS.length).setValues([CUST_VENDORS_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Lee la hoja de vendedores.
+ * @returns {Array<Object>} - Un vendedor por fila: { codVendedor, vendedor, email }.
+ */
+function readVendorsCust() {
+  const sheet = getVendorsSheetCust();
+  if (sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_VENDORS_HEADERS.length).getValues()
+    .map(row => ({ codVendedor: String(row[0]).trim(), vendedor: String(row[1]).trim(), email: String(row[2]).trim() }))
+    .filter(vendor => vendor.codVendedor !== '' || vendor.vendedor !== '');
+}
+
+/**
+ * Busca un vendedor por código o, si el cliente no tiene código de vendedor, por nombre.
+ * @param {Array<Object>} vendors - Los vendedores (ver readVendorsCust).
+ * @param {*} codVendedor - El código de vendedor del cliente.
+ * @param {string} vendedor - El nombre del vendedor del cliente.
+ * @returns {Object|undefined} - El vendedor encontrado.
+ */
+function findVendorCust(vendors, codVendedor, vendedor) {
+  const code = String(codVendedor).trim();
+  const name = String(vendedor).trim().toLowerCase();
+  return code !== ''
+    ? vendors.find(vendor => vendor.codVendedor === code)
+    : vendors.find(vendor => vendor.vendedor.toLowerCase() === name);
+}
+
+/**
+ * Envía a cada vendedor un resumen con las alertas pendientes de sus clientes y las marca como enviadas.
+ * Las alertas de vendedores sin correo en la hoja de vendedores quedan pendientes, y esos vendedores
+ * se agregan a la hoja para que se complete su correo.
+ * @returns {Object} - { sent, pending } con la cantidad de resúmenes enviados y de alertas pendientes.
+ */
+function sendCreditAlertDigestsCust() {
+  const result = { sent: 0, pending: 0 };
+  const sheet  = getCreditAlertsSheetCust();
+  if (sheet.getLastRow() < 2) return result;
+
+  const values  = sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_ALERTS_HEADERS.length).getValues();
+  const sentCol = CUST_ALERTS_HEADERS.length - 1;
+  const vendors = readVendorsCust();
+  const digests = new Map(); // Clave: código de vendedor o nombre
+  const missing = new Map(); // Vendedores que no figuran en la hoja de vendedores
+
+  values.forEach((row, index) => {
+    if (row[sentCol] !== '') return;
+    const vendor = findVendorCust(vendors, row[4], row[5]);
+    if (!vendor || vendor.email === '') {
+      result.pending++;
+      const key = String(row[4]).trim() || String(row[5]).trim();
+      if (!vendor && key !== '') missing.set(key, [row[4], row[5], '']);
+      return;
+    }
+    const key = vendor.codVendedor || vendor.vendedor;
+    if (!digests.has(key)) digests.set(key, { vendor: vendor, rows: [], indexes: [] });
+    digests.get(key).rows.push(row);
+    digests.get(key).indexes.push(index);
+  });
+
+  const sender = getCustomerMailSenderCust();
+  try {
+    digests.forEach(digest => {
+      if (sender.remainingQuota() < 1) {
+        result.pending += digest.rows.length;
+        return;
+      }
+      try {
+        sender.send(buildCreditAlertDigestCust(digest.vendor, digest.rows));
+      } catch (error) {
+        // Las alertas del resumen fallido quedan pendientes para el próximo envío
+        CustomLogger.error(`No se pudo enviar el resumen de alertas a ${digest.vendor.email}: ${error.message}`);
+        logErrorCust(error);
+        result.pending += digest.rows.length;
+        return;
+      }
+      const sentAt = new Date();
+      digest.indexes.forEach(index => { values[index][sentCol] = sentAt; });
+      result.sent++;
+    });
+  } finally {
+    // Los resúmenes ya enviados se marcan aunque un envío posterior corte el recorrido
+    if (result.sent > 0) {
+      sheet.getRange(2, sentCol + 1, values.length, 1).setValues(values.map(row => [row[sentCol]]));
+    }
+  }
+
+  if (missing.size > 0) {
+    const vendorsSheet = getVendorsSheetCust();
+    const rows = Array.from(missing.values());
+    vendorsSheet.getRange(vendorsSheet.getLastRow() + 1, 1, rows.length, CUST_VENDORS_HEADERS.length).setValues(rows);
+  }
+  if (result.pending > 0) {
+    CustomLogger.log(`Alertas de crédito pendientes: ${result.pending}. Completa los correos en la hoja "${CUST_VENDORS_SHEET_NAME}".`);
+  }
+
+  return result;
+}
+
+/**
+ * Genera el correo de resumen de un vendedor.
+ * @param {Object} vendor - El vendedor (ver readVendorsCust).
+ * @param {Array<Array>} rows - Las filas de alertas del vendedor.
+ * @returns {Object} - El mensaje: { to, subject, body, htmlBody }.
+ */
+function buildCreditAlertDigestCust(vendor, rows) {
+  const money = value => Number(value || 0).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const lines = rows.map(row =>
+    `- ${row[2]} ${row[3]}: ${row[6]} (crédito máximo $ ${money(row[7])}, exposición $ ${money(row[8])}, vencido $ ${money(row[9])})`);
+  const htmlRows = rows.map(row => `
+      <tr>
+        <td>${escapeHtmlCust(row[2])}</td>
+        <td>${escapeHtmlCust(row[3])}</td>
+        <td><b>${escapeHtmlCust(row[6])}</b></td>
+        <td style="text-align:right">$ ${money(row[7])}</td>
+        <td style="text-align:right">$ ${money(row[8])}</td>
+        <td style="text-align:right">$ ${money(row[9])}</td>
+      </tr>`).join('');
+
+  return {
+    to: vendor.email,
+    subject: `Alertas de crédito de tus clientes (${rows.length})`,
+    body: `Hola ${vendor.vendedor},\n\nEstos clientes cambiaron su situación crediticia en las últimas importaciones:\n\n${lines.join('\n')}\n`,
+    htmlBody: `
+      <p>Hola ${escapeHtmlCust(vendor.vendedor)},</p>
+      <p>Estos clientes cambiaron su situación crediticia en las últimas importaciones:</p>
+      <table border="1" cellpadding="4" style="border-collapse:collapse">
+        <tr><th>Cód. Cliente</th><th>Razón Social</th><th>Alerta</th><th>Crédito Máximo</th><th>Exposición</th><th>Vencido</th></tr>
+        ${htmlRows}
+      </table>`
+  };
+}
+
+/**
+ * Envía desde el menú los resúmenes de alertas pendientes.
+ */
+function sendCreditAlertDigestsFromMenuCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = sendCreditAlertDigestsCust();
+    ui.alert(
+      'Alertas de Crédito',
+      `Se enviaron ${result.sent} resúmenes. Alertas pendientes: ${result.pending}.` +
+      (result.pending > 0 ? `\n\nRevisa los correos de la hoja "${CUST_VENDORS_SHEET_NAME}".` : ''),
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudieron enviar las alertas: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
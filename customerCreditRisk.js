@@ -0,0 +1,141 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script genera la hoja "Riesgo Crediticio" a partir de la situación financiera (campos SF_*)
+ * de los clientes que controlan crédito: exposición total, uso del crédito máximo, puntaje y nivel
+ * de riesgo. La hoja queda ordenada de mayor a menor riesgo como lista de trabajo para cobranzas.
+ */
+
+const CUST_RISK_SHEET_NAME = 'Riesgo Crediticio'; // Nombre de la hoja de riesgo
+const CUST_RISK_HEADERS    = [
+  'Ranking', 'Cód. Cliente', 'Razón Social', 'Vendedor', 'Crédito Máximo', 'Exposición Total', '% Utilizado',
+  'Crédito Vencido', 'Cheques Rechazados', 'Puntaje', 'Nivel', 'Excede Límite', 'Motivos', 'SF Fecha Actualización'
+];
+
+// Campos cuya suma forma la exposición total del cliente
+const CUST_EXPOSURE_FIELDS = ['SF_PenddeFacturar', 'SF_ChequesenCartera', 'SF_ChequesRechazados', 'SF_CreditoaVencer', 'SF_CreditoVencido'];
+
+/**
+ * Reglas de puntaje. Cada regla que se cumple suma sus puntos y agrega su motivo.
+ * Reciben las métricas del cliente calculadas por computeCustomerRiskCust.
+ */
+const CUST_RISK_RULES = [
+  { reason: 'Incobrable',                     points: 50, applies: m => m.incobrable },
+  { reason: 'En gestión judicial',            points: 40, applies: m => m.judicial },
+  { reason: 'Moroso',                         points: 30, applies: m => m.moroso },
+  { reason: 'Excede el crédito máximo',       points: 25, applies: m => m.overLimit },
+  { reason: 'Uso del crédito de 80% o más',   points: 10, applies: m => !m.overLimit && m.usage !== null && m.usage >= 0.8 },
+  { reason: 'Cheques rechazados',             points: 20, applies: m => m.bounced > 0 },
+  { reason: 'Crédito vencido',                points: 15, applies: m => m.overdue > 0 },
+  { reason: 'Vencido > 50% de la exposición', points: 10, applies: m => m.exposure > 0 && m.overdue / m.exposure > 0.5 }
+];
+
+// Niveles de riesgo, de mayor a menor puntaje mínimo
+const CUST_RISK_TIERS = [
+  { name: 'Crítico', minScore: 60, color: '#F4C7C3' },
+  { name: 'Alto',    minScore: 35, color: '#FCE8B2' },
+  { name: 'Medio',   minScore: 15, color: '#FFF9C4' },
+  { name: 'Bajo',    minScore: 0,  color: '#D9EAD3' }
+];
+
+/**
+ * Calcula la exposición, el uso del crédito y el puntaje de riesgo de un cliente.
+ * @param {Object} customer - El cliente (ver getCustomerRecordsCust).
+ * @returns {Object} - { creditMax, exposure, usage, overLimit, overdue, bounced, moroso, judicial,
+ *                       incobrable, score, tier, reasons }. usage es null si el cliente no tiene crédito máximo.
+ */
+function computeCustomerRiskCust(customer) {
+  const amount    = tag => Number(customer[tag]) || 0;
+  const creditMax = amount('SF_CreditoMaximo');
+  const exposure  = CUST_EXPOSURE_FIELDS.reduce((total, tag) => total + amount(tag), 0);
+
+  const metrics = {
+    creditMax: creditMax,
+    exposure: exposure,
+    usage: creditMax > 0 ? exposure / creditMax : null,
+    overLimit: exposure > creditMax,
+    overdue: amount('SF_CreditoVencido'),
+    bounced: amount('SF_ChequesRechazados'),
+    moroso: customer.SF_Moroso === true,
+    judicial: customer.SF_Engestionjudicial === true,
+    incobrable: customer.SF_Incobrable === true
+  };
+
+  const matched   = CUST_RISK_RULES.filter(rule => rule.applies(metrics));
+  metrics.score   = matched.reduce((total, rule) => total + rule.points, 0);
+  metrics.reasons = matched.map(rule => rule.reason);
+  metrics.tier    = CUST_RISK_TIERS.find(tier => metrics.score >= tier.minScore);
+  return metrics;
+}
+
+/**
+ * Genera la hoja de riesgo con los clientes activos que controlan crédito, ordenados por puntaje,
+ * uso del crédito y exposición.
+ * @returns {Object} - { customers, overLimit } con la cantidad de clientes incluidos y de clientes que exceden su límite.
+ */
+function buildCreditRiskSheetCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CUST_RISK_SHEET_NAME) || ss.insertSheet(CUST_RISK_SHEET_NAME);
+
+  const ranked = getCustomerRecordsCust(true)
+    .filter(customer => customer.ControlaCredito === true)
+    .map(customer => ({ customer: customer, risk: computeCustomerRiskCust(customer) }))
+    .sort((a, b) =>
+      b.risk.score - a.risk.score ||
+      (b.risk.usage === null ? Infinity : b.risk.usage) - (a.risk.usage === null ? Infinity : a.risk.usage) ||
+      b.risk.exposure - a.risk.exposure);
+
+  const rows = ranked.map((item, index) => [
+    index + 1,
+    item.customer.CodCliente,
+    item.customer.RazonSocialdelCliente,
+    item.customer.Vendedor,
+    item.risk.creditMax,
+    item.risk.exposure,
+    item.risk.usage === null ? '' : item.risk.usage,
+    item.risk.overdue,
+    item.risk.bounced,
+    item.risk.score,
+    item.risk.tier.name,
+    item.risk.overLimit ? 'Sí' : 'No',
+    item.risk.reasons.join(', '),
+    item.customer.SF_FechadeActualizacion
+  ]);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, CUST_RISK_HEADERS.length).setValues([CUST_RISK_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, CUST_RISK_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 5, rows.length, 2).setNumberFormat(CUST_TYPE_FORMATS.money);
+    sheet.getRange(2, 7, rows.length, 1).setNumberFormat('0.0%');
+    sheet.getRange(2, 8, rows.length, 2).setNumberFormat(CUST_TYPE_FORMATS.money);
+    sheet.getRange(2, 14, rows.length, 1).setNumberFormat(CUST_TYPE_FORMATS.date);
+    sheet.getRange(2, 11, rows.length, 1).setBackgrounds(ranked.map(item => [item.risk.tier.color]));
+    sheet.getRange(2, 12, rows.length, 1).setBackgrounds(ranked.map(item => [item.risk.overLimit ? '#F4C7C3' : null]));
+  }
+
+  const overLimit = ranked.filter(item => item.risk.overLimit).length;
+  CustomLogger.log(`Riesgo crediticio actualizado: ${rows.length} clientes, ${overLimit} exceden su límite`);
+  return { customers: rows.length, overLimit: overLimit };
+}
+
+/**
+ * Actualiza la hoja de riesgo desde el menú y la muestra.
+ */
+function updateCreditRiskSheetCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = buildCreditRiskSheetCust();
+    const ss     = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(CUST_RISK_SHEET_NAME));
+    ui.alert(
+      'Riesgo Crediticio',
+      `Se analizaron ${result.customers} clientes que controlan crédito. ${result.overLimit} exceden su crédito máximo.`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudo generar la hoja de riesgo: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script genera la hoja "Tablero Clientes" con la distribución de la cartera de clientes
+ * y de su crédito por provincia, zona, tipo de cliente, categoría y lista de precios, con un
+ * gráfico por cuadro. Se actualiza al terminar cada importación.
+ */
+
+const CUST_DASHBOARD_SHEET_NAME = 'Tablero Clientes'; // Nombre de la hoja del tablero
+const CUST_DASHBOARD_HEADERS    = ['Clientes', 'Habilitados', 'Inhabilitados', 'Crédito Máximo Total', 'Crédito Vencido Total'];
+const CUST_DASHBOARD_CHART_COLUMN = 8; // Columna donde se ubican los gráficos, a la derecha de los cuadros
+
+/**
+ * Agrupaciones del tablero. Cada una genera un cuadro y un gráfico; con varios campos,
+ * el grupo es la combinación de sus valores.
+ */
+const CUST_DASHBOARD_DIMENSIONS = [
+  { title: 'Provincia',                tags: ['Provincia'] },
+  { title: 'Zona',                     tags: ['Zona'] },
+  { title: 'Tipo de Cliente',          tags: ['TipodeCliente'] },
+  { title: 'Categoría / Subcategoría', tags: ['CategoriaCliente', 'SubCategoriaCliente'] },
+  { title: 'Lista de Precios',         tags: ['ListadePrecios'] }
+];
+
+/**
+ * Agrupa a los clientes por los campos de una agrupación del tablero.
+ * @param {Array<Object>} customers - Los clientes (ver getCustomerRecordsCust).
+ * @param {Array<string>} tags - Los campos de la agrupación.
+ * @param {Function} [valueOf] - Obtiene el valor de un campo del cliente: (customer, tag) => string.
+ *                               Por omisión, el valor importado.
+ * @returns {Array<Array>} - Una fila por grupo, de mayor a menor cantidad de clientes:
+ *                           [grupo, clientes, habilitados, inhabilitados, crédito máximo, crédito vencido].
+ */
+function aggregateCustomersCust(customers, tags, valueOf) {
+  const value  = valueOf || ((customer, tag) => String(customer[tag]).trim());
+  const groups = new Map();
+  customers.forEach(customer => {
+    const key = tags.map(tag => value(customer, tag) || '(Sin asignar)').join(' / ');
+    if (!groups.has(key)) groups.set(key, [key, 0, 0, 0, 0, 0]);
+    const row = groups.get(key);
+    row[1]++;
+    row[customer.Habilitado === true ? 2 : 3]++;
+    row[4] += Number(customer.SF_CreditoMaximo) || 0;
+    row[5] += Number(customer.SF_CreditoVencido) || 0;
+  });
+
+  return Array.from(groups.values()).sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
+
+/**
+ * Genera el tablero con los clientes activos: un resumen general y, por cada agrupación de
+ * CUST_DASHBOARD_DIMENSIONS, un cuadro con su total y un gráfico de habilitados e inhabilitados.
+ * @returns {number} - La cantidad de clientes incluidos.
+ */
+function buildCustomerDashboardCust() {
+  const ss        = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet     = ss.getSheetByName(CUST_DASHBOARD_SHEET_NAME) || ss.insertSheet(CUST_DASHBOARD_SHEET_NAME);
+  const customers = getCustomerRecordsCust(true);
+  const width     = CUST_DASHBOARD_HEADERS.length + 1;
+  const catalog   = buildAddressCatalogCust();
+
+  // La provincia se agrupa por su nombre normalizado ("Bs As" y "BUENOS AIRES" son la misma)
+  const valueOf = (customer, tag) => tag === 'Provincia'
+    ? getNormalizedProvinceCust(catalog, customer.Provincia)
+    : String(customer[tag]).trim();
+
+  sheet.getCharts().forEach(chart => sheet.removeChart(chart));
+  sheet.clear();
+
+  const total = aggregateCustomersCust(customers, [])[0] || ['', 0, 0, 0, 0, 0];
+  sheet.getRange(1, 1).setValue(`Cartera de clientes activos - ${formatDate(new Date(), 'dateTime')}`).setFontWeight('bold').setFontSize(12);
+  sheet.getRange(2, 1, 1, width).setValues([['Total'].concat(CUST_DASHBOARD_HEADERS)]).setFontWeight('bold').setBackground('#e6f2ff');
+  sheet.getRange(3, 1, 1, width).setValues([['Todos los clientes'].concat(total.slice(1))]);
+  sheet.getRange(3, 5, 1, 2).setNumberFormat(CUST_TYPE_FORMATS.money);
+
+  let rowNumber = 5;
+  CUST_DASHBOARD_DIMENSIONS.forEach(dimension => {
+    const rows = aggregateCustomersCust(customers, dimension.tags, valueOf);
+
+    sheet.getRange(rowNumber, 1).setValue(`Por ${dimension.title}`).setFontWeight('bold').setFontSize(12);
+    sheet.getRange(rowNumber + 1, 1, 1, width).setValues([[dimension.title].concat(CUST_DASHBOARD_HEADERS)])
+      .setFontWeight('bold').setBackground('#e6f2ff');
+
+    const firstRow = rowNumber + 2;
+    if (rows.length > 0) {
+      sheet.getRange(firstRow, 1, rows.length, width).setValues(rows);
+      sheet.getRange(firstRow, 5, rows.length, 2).setNumberFormat(CUST_TYPE_FORMATS.money);
+      sheet.getRange(firstRow + rows.length, 1, 1, width)
+        .setValues([['Total'].concat(total.slice(1))])
+        .setFontWeight('bold');
+      sheet.getRange(firstRow + rows.length, 5, 1, 2).setNumberFormat(CUST_TYPE_FORMATS.money);
+
+      // Gráfico de habilitados e inhabilitados por grupo, sin la fila de total
+      const chart = sheet.newChart()
+        .setChartType(Charts.ChartType.COLUMN)
+        .addRange(sheet.getRange(rowNumber + 1, 1, rows.length + 1, 1))
+        .addRange(sheet.getRange(rowNumber + 1, 3, rows.length + 1, 2))
+        .setPosition(rowNumber, CUST_DASHBOARD_CHART_COLUMN, 0, 0)
+        .setOption('title', `Clientes por ${dimension.title}`)
+        .setOption('isStacked', true)
+        .setOption('legend', { position: 'top' })
+        .setOption('height', 300)
+        .setOption('width', 600)
+        .build();
+      sheet.insertChart(chart);
+    }
+
+    // Cada cuadro ocupa al menos el alto de su gráfico
+    rowNumber = Math.max(firstRow + rows.length + 2, rowNumber + 16);
+  });
+
+  CustomLogger.log(`Tablero de clientes actualizado: ${customers.length} clientes`);
+  return customers.length;
+}
+
+/**
+ * Actualiza el tablero desde el menú y lo muestra.
+ */
+function updateCustomerDashboardCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    buildCustomerDashboardCust();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(CUST_DASHBOARD_SHEET_NAME));
+  } catch (error) {
+    ui.alert('Error', `No se pudo generar el tablero de clientes: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
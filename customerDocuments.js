@@ -0,0 +1,223 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script valida el documento de los clientes: dígito verificador de CUIT, CUIL y CDI, rango
+ * plausible de DNI y coherencia entre el número y TipoDoc. Al terminar cada importación escribe el
+ * resultado en la columna "Validación Documento" de la hoja de clientes y genera la hoja
+ * "Documentos Inválidos". Incluye la función personalizada =CUIT_VALIDO().
+ */
+
+const CUST_INVALID_DOCS_SHEET_NAME = 'Documentos Inválidos'; // Nombre de la hoja con los documentos a corregir
+const CUST_INVALID_DOCS_HEADERS    = ['Cód. Cliente', 'Razón Social', 'Vendedor', 'Tipo Doc.', 'Nro. Documento', 'Motivo'];
+
+const CUST_DOC_VALID      = 'Válido';
+const CUST_DOC_INVALID    = 'Inválido';
+const CUST_DOC_MISSING    = 'Sin documento';
+const CUST_DOC_UNVERIFIED = 'No verificado'; // Tipos de documento sin regla de validación (pasaporte, LE, LC, etc.)
+
+const CUST_CUIT_WEIGHTS  = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2]; // Pesos del dígito verificador (módulo 11)
+const CUST_DNI_MIN       = 1000000;  // DNI más bajo que se considera plausible
+const CUST_DNI_MAX       = 99999999; // DNI más alto posible (8 dígitos)
+
+/**
+ * Tipos de documento reconocidos, por nombre o por código de AFIP. La clave se compara
+ * sin puntos ni espacios y en mayúsculas ("C.U.I.T." → "CUIT").
+ */
+const CUST_DOC_TYPES = {
+  CUIT: 'CUIT', 80: 'CUIT',
+  CUIL: 'CUIL', 86: 'CUIL',
+  CDI:  'CDI',  87: 'CDI',
+  DNI:  'DNI',  96: 'DNI'
+};
+
+// Prefijos válidos de CUIT y CUIL: personas humanas y personas jurídicas
+const CUST_CUIT_PERSON_PREFIXES  = ['20', '23', '24', '27'];
+const CUST_CUIT_COMPANY_PREFIXES = ['30', '33', '34'];
+
+/**
+ * Normaliza un número de documento como en la importación: sin espacios, puntos, guiones ni barras.
+ * @param {*} value - El número tal como figura en el archivo o en la hoja.
+ * @returns {string} - El número normalizado.
+ */
+function normalizeTaxDocumentCust(value) {
+  return CUST_TYPE_CONVERTERS.document(String(value === null || value === undefined ? '' : value).trim());
+}
+
+/**
+ * Obtiene el tipo de documento reconocido a partir del valor de TipoDoc.
+ * @param {*} tipoDoc - El tipo de documento del cliente.
+ * @returns {string} - 'CUIT', 'CUIL', 'CDI', 'DNI', o '' si no se reconoce.
+ */
+function getTaxDocumentTypeCust(tipoDoc) {
+  const key = String(tipoDoc).toUpperCase().replace(/[\s.\-]/g, '');
+  return CUST_DOC_TYPES[key] || '';
+}
+
+/**
+ * Calcula el dígito verificador de los primeros 10 dígitos de una CUIT, CUIL o CDI.
+ * @param {string} digits - Los 10 dígitos (prefijo y número).
+ * @returns {number} - El dígito verificador, o -1 si ningún dígito es válido (resto 1).
+ */
+function computeCuitCheckDigitCust(digits) {
+  const sum   = CUST_CUIT_WEIGHTS.reduce((total, weight, index) => total + weight * Number(digits[index]), 0);
+  const check = 11 - (sum % 11);
+  if (check === 11) return 0;
+  return check === 10 ? -1 : check;
+}
+
+/**
+ * Valida una CUIT, CUIL o CDI: 11 dígitos, prefijo válido y dígito verificador.
+ * @param {string} number - El número normalizado (ver normalizeTaxDocumentCust).
+ * @param {string} [type] - 'CUIL' para aceptar solo prefijos de personas humanas.
+ * @returns {string} - El motivo por el que no es válido, o '' si es válido.
+ */
+function checkCuitCust(number, type) {
+  if (!/^\d{11}$/.test(number)) return `Una ${type || 'CUIT'} debe tener 11 dígitos y tiene ${number.length}`;
+
+  const prefix   = number.slice(0, 2);
+  const prefixes = type === 'CUIL' ? CUST_CUIT_PERSON_PREFIXES : CUST_CUIT_PERSON_PREFIXES.concat(CUST_CUIT_COMPANY_PREFIXES);
+  if (prefixes.indexOf(prefix) === -1) return `Prefijo ${prefix} no válido para ${type || 'CUIT'}`;
+
+  const check = computeCuitCheckDigitCust(number.slice(0, 10));
+  if (check !== Number(number[10])) return 'Dígito verificador incorrecto';
+  return '';
+}
+
+/**
+ * Valida el documento de un cliente según su TipoDoc. Un número de 11 dígitos informado como DNI,
+ * o de 7 u 8 dígitos informado como CUIT o CUIL, se informa como tipo de documento incorrecto.
+ * @param {*} tipoDoc - El tipo de documento del cliente.
+ * @param {*} nroDocumento - El número de documento del cliente.
+ * @returns {Object} - { status, reason }. status es CUST_DOC_VALID, CUST_DOC_INVALID, CUST_DOC_MISSING
+ *                     o CUST_DOC_UNVERIFIED; reason explica los documentos inválidos o no verificados.
+ */
+function validateTaxDocumentCust(tipoDoc, nroDocumento) {
+  const number = normalizeTaxDocumentCust(nroDocumento);
+  const type   = getTaxDocumentTypeCust(tipoDoc);
+
+  if (number === '') return { status: CUST_DOC_MISSING, reason: '' };
+  if (type === '') {
+    return { status: CUST_DOC_UNVERIFIED, reason: String(tipoDoc).trim() === '' ? 'Sin tipo de documento' : `Tipo "${tipoDoc}" sin validación` };
+  }
+  if (!/^\d+$/.test(number)) return { status: CUST_DOC_INVALID, reason: 'El número tiene caracteres que no son dígitos' };
+
+  if (type === 'DNI') {
+    if (number.length === 11 && checkCuitCust(number) === '') {
+      return { status: CUST_DOC_INVALID, reason: 'El número es una CUIT/CUIL pero TipoDoc es DNI' };
+    }
+    const value = Number(number);
+    if (value < CUST_DNI_MIN || value > CUST_DNI_MAX) return { status: CUST_DOC_INVALID, reason: 'DNI fuera de rango' };
+    return { status: CUST_DOC_VALID, reason: '' };
+  }
+
+  if (number.length === 7 || number.length === 8) {
+    return { status: CUST_DOC_INVALID, reason: `El número parece un DNI pero TipoDoc es ${type}` };
+  }
+  const reason = checkCuitCust(number, type);
+  return reason === '' ? { status: CUST_DOC_VALID, reason: '' } : { status: CUST_DOC_INVALID, reason: reason };
+}
+
+/**
+ * Texto de la columna de validación para el resultado de validateTaxDocumentCust.
+ * @param {Object} result - El resultado de la validación.
+ * @returns {string} - El estado, con el motivo si lo hay.
+ */
+function formatTaxDocumentStatusCust(result) {
+  return result.reason ? `${result.status}: ${result.reason}` : result.status;
+}
+
+/**
+ * Indica si un número es una CUIT o CUIL válida (dígito verificador incluido). Acepta el número con o
+ * sin guiones y puntos, o un rango de celdas.
+ *
+ * @param {string|number|Array<Array>} nro - El número de CUIT o CUIL, o un rango.
+ * @return {boolean|Array<Array<boolean>>} VERDADERO si el número es válido.
+ * @customfunction
+ */
+function CUIT_VALIDO(nro) {
+  if (Array.isArray(nro)) return nro.map(row => row.map(value => CUIT_VALIDO(value)));
+  return checkCuitCust(normalizeTaxDocumentCust(nro)) === '';
+}
+
+/**
+ * Valida el documento de todos los clientes de la hoja, escribe el resultado en la columna
+ * CUST_DOC_STATUS_COLUMN y genera la hoja de documentos inválidos con los clientes activos a corregir.
+ * @returns {Object} - { checked, invalid } con la cantidad de clientes validados y de documentos inválidos.
+ */
+function updateDocumentStatusColumnCust() {
+  const sheetCust = getCustomerSheetCust();
+  const customers = getCustomerRecordsCust();
+  const lastRow   = sheetCust.getLastRow();
+
+  sheetCust.getRange(1, CUST_DOC_STATUS_COLUMN).setValue(CUST_DOC_STATUS_HEADER).setFontWeight('bold');
+  if (lastRow < 2) {
+    buildInvalidDocumentsSheetCust([]);
+    return { checked: 0, invalid: 0 };
+  }
+
+  // Las filas sin CodCliente quedan con la validación vacía
+  const statuses = Array.from({ length: lastRow - 1 }, () => ['']);
+  const invalid  = [];
+  customers.forEach(customer => {
+    const result = validateTaxDocumentCust(customer.TipoDoc, customer.NroDocumento);
+    statuses[customer.row - 2][0] = formatTaxDocumentStatusCust(result);
+    if (result.status === CUST_DOC_INVALID && customer.status !== CUST_STATUS_INACTIVE) {
+      invalid.push({ customer: customer, reason: result.reason });
+    }
+  });
+
+  const batch = createSheetsBatch('Clientes: validación de documentos');
+  batch.setValues(sheetCust, 2, CUST_DOC_STATUS_COLUMN, statuses);
+  batch.setBackgrounds(sheetCust, 2, CUST_DOC_STATUS_COLUMN,
+    statuses.map(row => [row[0].indexOf(CUST_DOC_INVALID) === 0 ? '#F4C7C3' : null]));
+  batch.commit();
+  buildInvalidDocumentsSheetCust(invalid);
+
+  CustomLogger.log(`Documentos validados: ${customers.length} clientes, ${invalid.length} documentos inválidos`);
+  return { checked: customers.length, invalid: invalid.length };
+}
+
+/**
+ * Genera la hoja de documentos inválidos.
+ * @param {Array<Object>} invalid - Los clientes a corregir: { customer, reason }.
+ */
+function buildInvalidDocumentsSheetCust(invalid) {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CUST_INVALID_DOCS_SHEET_NAME) || ss.insertSheet(CUST_INVALID_DOCS_SHEET_NAME);
+
+  const rows = invalid.map(item => [
+    item.customer.CodCliente,
+    item.customer.RazonSocialdelCliente,
+    item.customer.Vendedor,
+    item.customer.TipoDoc,
+    item.customer.NroDocumento,
+    item.reason
+  ]);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, CUST_INVALID_DOCS_HEADERS.length).setValues([CUST_INVALID_DOCS_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 5, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, CUST_INVALID_DOCS_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Valida los documentos desde el menú y muestra la hoja de documentos inválidos.
+ */
+function updateDocumentValidationCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = updateDocumentStatusColumnCust();
+    const ss     = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(CUST_INVALID_DOCS_SHEET_NAME));
+    ui.alert(
+      'Validación de Documentos',
+      `Se validaron ${result.checked} clientes. ${result.invalid} clientes activos tienen el documento inválido.`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudieron validar los documentos: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
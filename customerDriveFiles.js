@@ -0,0 +1,210 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script busca los archivos a importar en Google Drive con el servicio avanzado de Drive (v3).
+ * Las búsquedas se resuelven en el servidor (carpeta, tipo MIME, prefijo del nombre y orden por fecha de
+ * modificación), opcionalmente en todas las subcarpetas, y los archivos importados se pueden mover a una
+ * subcarpeta de procesados.
+ */
+
+const CUST_SEARCH_SUBFOLDERS     = false; // Buscar también en las subcarpetas de la carpeta de clientes
+const CUST_PROCESSED_FOLDER_NAME = 'Procesados'; // Subcarpeta a la que se mueven los archivos importados ('' para no moverlos)
+const CUST_DRIVE_FOLDER_MIME     = 'application/vnd.google-apps.folder';
+const CUST_DRIVE_PARENTS_PER_QUERY = 20; // Carpetas por consulta, para no exceder el largo máximo de la consulta
+const CUST_DRIVE_FILE_FIELDS     = 'nextPageToken, files(id, name, mimeType, modifiedTime, size, parents)';
+
+/**
+ * Tipos MIME con los que Drive guarda cada extensión. Los CSV subidos desde Windows suelen quedar
+ * como texto plano o como planilla de Excel, por eso se aceptan varios.
+ */
+const CUST_DRIVE_MIME_TYPES = {
+  '.xml':  ['text/xml', 'application/xml'],
+  '.csv':  ['text/csv', 'text/plain', 'application/vnd.ms-excel'],
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+/**
+ * Obtiene los archivos de una carpeta específica en Google Drive, del más reciente al más antiguo.
+ * @param {string} folderId - El ID de la carpeta.
+ * @param {string|Array<string>} extension - La extensión (o las extensiones) de los archivos a buscar.
+ * @param {Object} [options] - { recursive, namePrefix, pattern, excludeFolder }: buscar también en las
+ *                             subcarpetas, el prefijo del nombre (se resuelve en Drive), una expresión que debe
+ *                             cumplir el nombre (se verifica en el script) y el nombre de una subcarpeta a omitir.
+ * @returns {Array<Object>} - Los archivos que coinciden (ver toDriveFileCust).
+ */
+function getFilesFromFolderCust(folderId, extension, options = {}) {
+  try {
+    return queryDriveFilesCust(folderId, extension, options, 0);
+  } catch (error) {
+    console.error('Error accessing folder:', error);
+    throw new Error('No se pudo acceder a la carpeta especificada.');
+  }
+}
+
+/**
+ * Obtiene el archivo modificado más recientemente de una carpeta, pidiendo a Drive un solo resultado.
+ * @param {string} folderId - El ID de la carpeta.
+ * @param {string|Array<string>} extension - La extensión (o las extensiones) de los archivos a buscar.
+ * @param {Object} [options] - Las opciones de búsqueda (ver getFilesFromFolderCust).
+ * @returns {Object|null} - El archivo más reciente (ver toDriveFileCust), o null si no hay ninguno.
+ */
+function getLatestFileFromFolderCust(folderId, extension, options = {}) {
+  try {
+    return queryDriveFilesCust(folderId, extension, options, 1)[0] || null;
+  } catch (error) {
+    console.error('Error accessing folder:', error);
+    throw new Error('No se pudo acceder a la carpeta especificada.');
+  }
+}
+
+/**
+ * Busca archivos en una carpeta (y sus subcarpetas, si se pide) con consultas a Drive.
+ * El tipo MIME se filtra en el servidor y la extensión se vuelve a verificar con el nombre.
+ * @param {string} folderId - El ID de la carpeta.
+ * @param {string|Array<string>} extension - La extensión (o las extensiones) de los archivos a buscar.
+ * @param {Object} options - Las opciones de búsqueda (ver getFilesFromFolderCust).
+ * @param {number} limit - La cantidad máxima de archivos, o 0 para todos.
+ * @returns {Array<Object>} - Los archivos, del más reciente al más antiguo.
+ */
+function queryDriveFilesCust(folderId, extension, options, limit) {
+  const extensions = [].concat(extension).map(ext => ext.toLowerCase());
+  const mimeTypes  = [].concat(...extensions.map(ext => CUST_DRIVE_MIME_TYPES[ext] || []));
+  const folders    = options.recursive
+    ? listDriveFoldersCust(folderId, options.excludeFolder)
+    : [{ id: folderId, path: '' }];
+  const pathById   = new Map(folders.map(folder => [folder.id, folder.path]));
+
+  const files = [];
+  for (let start = 0; start < folders.length; start += CUST_DRIVE_PARENTS_PER_QUERY) {
+    const parents = folders.slice(start, start + CUST_DRIVE_PARENTS_PER_QUERY);
+    const query   = [
+      '(' + parents.map(folder => `'${folder.id}' in parents`).join(' or ') + ')',
+      '(' + mimeTypes.map(mimeType => `mimeType = '${mimeType}'`).join(' or ') + ')',
+      'trashed = false'
+    ];
+    if (options.namePrefix) query.push(`name contains '${escapeDriveQueryCust(options.namePrefix)}'`);
+
+    const matches = item => extensions.some(ext => item.name.toLowerCase().endsWith(ext)) &&
+      (!options.pattern || options.pattern.test(item.name));
+    listDriveItemsCust(query.join(' and '), limit, matches).forEach(item => {
+      const parent = (item.parents || []).find(id => pathById.has(id));
+      files.push(toDriveFileCust(item, pathById.get(parent) || ''));
+    });
+  }
+
+  // Con varias consultas, cada una viene ordenada por separado
+  files.sort((a, b) => b.getLastUpdated() - a.getLastUpdated());
+  return limit > 0 ? files.slice(0, limit) : files;
+}
+
+/**
+ * Ejecuta una consulta de archivos en Drive, ordenada por fecha de modificación descendente, siguiendo
+ * las páginas de resultados hasta reunir la cantidad pedida.
+ * @param {string} query - La consulta en la sintaxis de búsqueda de Drive.
+ * @param {number} limit - La cantidad máxima de resultados, o 0 para todos.
+ * @param {Function} [accept] - Filtro adicional sobre cada resultado.
+ * @returns {Array<Object>} - Los metadatos de los archivos (id, name, mimeType, modifiedTime, size, parents).
+ */
+function listDriveItemsCust(query, limit, accept = () => true) {
+  const items = [];
+  let pageToken = null;
+  do {
+    const response = Drive.Files.list({
+      q: query,
+      orderBy: 'modifiedTime desc',
+      pageSize: limit > 0 ? limit : 1000,
+      pageToken: pageToken,
+      fields: CUST_DRIVE_FILE_FIELDS,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true
+    });
+    (response.files || []).filter(accept).forEach(item => items.push(item));
+    pageToken = response.nextPageToken;
+  } while (pageToken && (limit === 0 || items.length < limit));
+
+  return limit > 0 ? items.slice(0, limit) : items;
+}
+
+/**
+ * Lista una carpeta y todas sus subcarpetas, con la ruta de cada una relativa a la carpeta inicial.
+ * @param {string} folderId - El ID de la carpeta inicial.
+ * @param {string} [excludeName] - El nombre de una subcarpeta que se omite, junto con su contenido.
+ * @returns {Array<Object>} - Las carpetas { id, path }, empezando por la inicial (path '').
+ */
+function listDriveFoldersCust(folderId, excludeName) {
+  const folders = [{ id: folderId, path: '' }];
+  for (let index = 0; index < folders.length; index++) {
+    const parent = folders[index];
+    listDriveItemsCust(`'${parent.id}' in parents and mimeType = '${CUST_DRIVE_FOLDER_MIME}' and trashed = false`, 0)
+      .filter(item => !excludeName || item.name !== excludeName)
+      .forEach(item => folders.push({ id: item.id, path: parent.path ? `${parent.path}/${item.name}` : item.name }));
+  }
+  return folders;
+}
+
+/**
+ * Representa un resultado de Drive con los mismos métodos que un archivo de DriveApp, para que el resto
+ * de la importación no dependa de cómo se encontró. El contenido se obtiene de DriveApp solo si se pide.
+ * @param {Object} item - Los metadatos del archivo devueltos por Drive.
+ * @param {string} folderPath - La ruta de la carpeta del archivo, relativa a la carpeta buscada.
+ * @returns {Object} - El archivo: getId, getName, getMimeType, getLastUpdated, getSize, getFolderPath y getBlob.
+ */
+function toDriveFileCust(item, folderPath) {
+  let file = null;
+  const driveAppFile = () => file || (file = DriveApp.getFileById(item.id));
+
+  return {
+    getId: () => item.id,
+    getName: () => item.name,
+    getMimeType: () => item.mimeType,
+    getLastUpdated: () => new Date(item.modifiedTime),
+    getSize: () => Number(item.size || 0),
+    getFolderPath: () => folderPath,
+    getBlob: () => driveAppFile().getBlob()
+  };
+}
+
+/**
+ * Escapa un texto para usarlo entre comillas en una consulta de Drive.
+ * @param {string} text - El texto.
+ * @returns {string} - El texto con las barras invertidas y las comillas simples escapadas.
+ */
+function escapeDriveQueryCust(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Obtiene una subcarpeta por su nombre, creándola si no existe.
+ * @param {string} folderId - El ID de la carpeta que la contiene.
+ * @param {string} name - El nombre de la subcarpeta.
+ * @returns {string} - El ID de la subcarpeta.
+ */
+function getOrCreateDriveSubfolderCust(folderId, name) {
+  const existing = listDriveItemsCust(
+    `'${folderId}' in parents and mimeType = '${CUST_DRIVE_FOLDER_MIME}' and name = '${escapeDriveQueryCust(name)}' and trashed = false`, 1
+  );
+  if (existing.length > 0) return existing[0].id;
+
+  return Drive.Files.create({ name: name, mimeType: CUST_DRIVE_FOLDER_MIME, parents: [folderId] }, null, { supportsAllDrives: true }).id;
+}
+
+/**
+ * Mueve un archivo importado a la subcarpeta de procesados de la carpeta de origen, para que las
+ * próximas búsquedas no lo vuelvan a recorrer. Si no se definió una subcarpeta de procesados no hace nada.
+ * @param {string} fileId - El ID del archivo.
+ * @param {string} folderId - El ID de la carpeta de origen.
+ * @param {string} processedFolderName - El nombre de la subcarpeta de procesados, o '' para no moverlo.
+ */
+function moveToProcessedFolderCust(fileId, folderId, processedFolderName) {
+  if (!processedFolderName) return;
+
+  const processedId = getOrCreateDriveSubfolderCust(folderId, processedFolderName);
+  const parents     = Drive.Files.get(fileId, { fields: 'parents', supportsAllDrives: true }).parents || [];
+  if (parents.indexOf(processedId) !== -1) return; // Ya está en procesados
+
+  Drive.Files.update({}, fileId, null, {
+    addParents: processedId,
+    removeParents: parents.join(','),
+    supportsAllDrives: true
+  });
+  CustomLogger.log(`Archivo ${fileId} movido a la carpeta "${processedFolderName}"`);
+}
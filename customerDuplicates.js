@@ -0,0 +1,273 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script busca clientes posiblemente duplicados con distinto CodCliente: mismo número de
+ * documento o razón social similar (sin acentos, signos de puntuación ni formas societarias).
+ * Los grupos se revisan en la hoja "Posibles Duplicados", donde cada grupo se marca para fusionar
+ * o como "No es duplicado"; las decisiones se conservan entre búsquedas.
+ */
+
+const CUST_DUPLICATES_SHEET_NAME   = 'Posibles Duplicados'; // Hoja de revisión de duplicados
+const CUST_DUPLICATES_HEADERS      = ['Clave', 'Criterio', 'Similitud', 'Clientes', 'Códigos', 'Razones Sociales', 'Documentos', 'Decisión'];
+const CUST_DUPLICATE_DECISIONS_SHEET = 'Decisiones de Duplicados'; // Hoja oculta con las decisiones tomadas
+const CUST_DUPLICATE_PENDING       = 'Pendiente';
+const CUST_DUPLICATE_MERGE         = 'Fusionar';
+const CUST_DUPLICATE_DISMISSED     = 'No es duplicado';
+const CUST_DUPLICATE_NAME_THRESHOLD = 0.85; // Similitud mínima entre razones sociales (0 a 1)
+const CUST_DUPLICATE_MAX_BLOCK     = 50; // Palabras compartidas por más clientes no se usan para buscar candidatos
+
+// Formas societarias y palabras que no distinguen a una empresa de otra
+const CUST_NAME_STOPWORDS = [
+  'SA', 'SRL', 'SAS', 'SACI', 'SAIC', 'SACIF', 'SAICF', 'SAICYF', 'SH', 'SC', 'SCS', 'SCA', 'SE', 'SAU',
+  'LTDA', 'CIA', 'SOCIEDAD', 'ANONIMA', 'RESPONSABILIDAD', 'LIMITADA', 'DE', 'DEL', 'LA', 'EL', 'LOS', 'LAS', 'Y', 'E'
+];
+
+/**
+ * Normaliza una razón social para compararla: mayúsculas, sin acentos, sin signos de puntuación
+ * (así "S.A." y "SA" son iguales) y sin formas societarias ni palabras de CUST_NAME_STOPWORDS.
+ * @param {string} name - La razón social.
+ * @returns {string} - La razón social normalizada, con las palabras separadas por un espacio.
+ */
+function normalizeCompanyNameCust(name) {
+  const words = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[.']/g, '')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .trim()
+    .split(' ');
+  return words.filter(word => word !== '' && CUST_NAME_STOPWORDS.indexOf(word) === -1).join(' ');
+}
+
+/**
+ * Normaliza un número de documento: solo dígitos y sin ceros a la izquierda.
+ * @param {*} value - El número de documento.
+ * @returns {string} - El número normalizado, o '' si no tiene dígitos significativos.
+ */
+function normalizeDocumentNumberCust(value) {
+  return String(value || '').replace(/\D/g, '').replace(/^0+/, '');
+}
+
+/**
+ * Calcula la similitud entre dos textos con el coeficiente de Dice sobre pares de letras.
+ * @param {string} a - El primer texto.
+ * @param {string} b - El segundo texto.
+ * @returns {number} - La similitud, de 0 (nada en común) a 1 (iguales).
+ */
+function nameSimilarityCust(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.substr(i, 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+  const first  = bigrams(a);
+  const second = bigrams(b);
+  let shared = 0;
+  first.forEach((count, bigram) => { shared += Math.min(count, second.get(bigram) || 0); });
+  return 2 * shared / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Obtiene la clave de un grupo de clientes: sus códigos ordenados.
+ * @param {Array} codes - Los CodCliente del grupo.
+ * @returns {string} - La clave del grupo.
+ */
+function getDuplicateGroupKeyCust(codes) {
+  return codes.map(String).sort((a, b) => Number(a) - Number(b) || a.localeCompare(b)).join(',');
+}
+
+/**
+ * Busca grupos de clientes posiblemente duplicados. Dos clientes quedan vinculados si tienen el
+ * mismo número de documento o razones sociales con similitud mayor o igual a CUST_DUPLICATE_NAME_THRESHOLD,
+ * salvo que un grupo que los contenga a ambos se haya marcado como "No es duplicado".
+ * Para no comparar todos contra todos, solo se comparan razones sociales que comparten alguna palabra.
+ * @param {Array<Object>} customers - Los clientes (ver getCustomerRecordsCust).
+ * @param {Array<string>} dismissedKeys - Las claves de los grupos marcados como "No es duplicado".
+ * @returns {Array<Object>} - Los grupos: { key, customers, criteria, score }, de mayor a menor similitud.
+ */
+function findFuzzyDuplicatesCust(customers, dismissedKeys) {
+  const dismissed = dismissedKeys.map(key => new Set(key.split(',')));
+  const isDismissed = (a, b) => dismissed.some(set => set.has(String(a.CodCliente)) && set.has(String(b.CodCliente)));
+
+  const names = customers.map(customer => normalizeCompanyNameCust(customer.RazonSocialdelCliente));
+  const docs  = customers.map(customer => normalizeDocumentNumberCust(customer.NroDocumento));
+  const edges = [];
+  const addEdge = (i, j, criterion, score) => {
+    if (!isDismissed(customers[i], customers[j])) edges.push({ i, j, criterion, score });
+  };
+
+  // Mismo número de documento
+  const byDoc = new Map();
+  docs.forEach((doc, index) => {
+    if (doc === '') return;
+    if (!byDoc.has(doc)) byDoc.set(doc, []);
+    byDoc.get(doc).push(index);
+  });
+  byDoc.forEach(indexes => {
+    for (let k = 1; k < indexes.length; k++) addEdge(indexes[0], indexes[k], 'Mismo Nro. Documento', 1);
+  });
+
+  // Razón social similar, comparando solo clientes que comparten alguna palabra
+  const byWord = new Map();
+  names.forEach((name, index) => {
+    new Set(name.split(' ').filter(word => word.length >= 3)).forEach(word => {
+      if (!byWord.has(word)) byWord.set(word, []);
+      byWord.get(word).push(index);
+    });
+  });
+  const compared = new Set();
+  byWord.forEach(indexes => {
+    if (indexes.length > CUST_DUPLICATE_MAX_BLOCK) return;
+    for (let a = 0; a < indexes.length; a++) {
+      for (let b = a + 1; b < indexes.length; b++) {
+        const pair = indexes[a] + ':' + indexes[b];
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+        const score = nameSimilarityCust(names[indexes[a]], names[indexes[b]]);
+        if (score >= CUST_DUPLICATE_NAME_THRESHOLD) addEdge(indexes[a], indexes[b], 'Razón social similar', score);
+      }
+    }
+  });
+
+  // Agrupar los clientes vinculados
+  const parent = customers.map((customer, index) => index);
+  const find   = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+  edges.forEach(edge => { parent[find(edge.i)] = find(edge.j); });
+
+  const groups = new Map();
+  edges.forEach(edge => {
+    const root = find(edge.i);
+    if (!groups.has(root)) groups.set(root, { members: new Set(), criteria: new Set(), score: 1 });
+    const group = groups.get(root);
+    group.members.add(edge.i).add(edge.j);
+    group.criteria.add(edge.criterion);
+    group.score = Math.min(group.score, edge.score);
+  });
+
+  return Array.from(groups.values())
+    .map(group => {
+      const members = Array.from(group.members).sort((a, b) => a - b).map(index => customers[index]);
+      return {
+        key: getDuplicateGroupKeyCust(members.map(customer => customer.CodCliente)),
+        customers: members,
+        criteria: Array.from(group.criteria),
+        score: group.score
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.customers.length - a.customers.length);
+}
+
+/**
+ * Lee las decisiones guardadas.
+ * @returns {Map<string, string>} - La decisión de cada grupo por su clave.
+ */
+function readDuplicateDecisionsCust() {
+  const sheet     = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_DUPLICATE_DECISIONS_SHEET);
+  const decisions = new Map();
+  if (!sheet || sheet.getLastRow() < 2) return decisions;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(row => decisions.set(String(row[0]), String(row[1])));
+  return decisions;
+}
+
+/**
+ * Guarda las decisiones tomadas en la hoja de revisión que todavía no estaban registradas.
+ * @returns {Map<string, string>} - Todas las decisiones guardadas, incluidas las nuevas.
+ */
+function saveDuplicateDecisionsCust() {
+  const ss        = SpreadsheetApp.getActiveSpreadsheet();
+  const decisions = readDuplicateDecisionsCust();
+  const review    = ss.getSheetByName(CUST_DUPLICATES_SHEET_NAME);
+  if (!review || review.getLastRow() < 2) return decisions;
+
+  const decisionColumn = CUST_DUPLICATES_HEADERS.indexOf('Decisión');
+  const changed = review.getRange(2, 1, review.getLastRow() - 1, CUST_DUPLICATES_HEADERS.length).getValues()
+    .map(row => ({ key: String(row[0]), decision: String(row[decisionColumn]) }))
+    .filter(item => item.key !== '' && item.decision !== '' && item.decision !== CUST_DUPLICATE_PENDING &&
+      decisions.get(item.key) !== item.decision);
+  if (changed.length === 0) return decisions;
+
+  let sheet = ss.getSheetByName(CUST_DUPLICATE_DECISIONS_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_DUPLICATE_DECISIONS_SHEET);
+    sheet.getRange(1, 1, 1, 4).setValues([['Clave', 'Decisión', 'Fecha', 'Usuario']]).setFontWeight('bold');
+    sheet.hideSheet();
+  }
+
+  // Las decisiones nuevas se agregan al final; al leerlas, la última de cada grupo reemplaza a las anteriores
+  const user = Session.getActiveUser().getEmail();
+  const rows = changed.map(item => [item.key, item.decision, new Date(), user]);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, 4).setValues(rows);
+  changed.forEach(item => decisions.set(item.key, item.decision));
+  return decisions;
+}
+
+/**
+ * Guarda las decisiones de la hoja de revisión y la vuelve a generar con los grupos actuales.
+ * Los grupos marcados como "No es duplicado" no se vuelven a mostrar; los marcados para fusionar
+ * se muestran con su decisión hasta que los clientes se unifiquen.
+ * @returns {Object} - { groups, pending } con la cantidad de grupos y de grupos sin decisión.
+ */
+function buildDuplicatesReviewSheetCust() {
+  const ss        = SpreadsheetApp.getActiveSpreadsheet();
+  const decisions = saveDuplicateDecisionsCust();
+  const dismissed = Array.from(decisions.keys()).filter(key => decisions.get(key) === CUST_DUPLICATE_DISMISSED);
+  const groups    = findFuzzyDuplicatesCust(getCustomerRecordsCust(true), dismissed);
+
+  const sheet = ss.getSheetByName(CUST_DUPLICATES_SHEET_NAME) || ss.insertSheet(CUST_DUPLICATES_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1, 1, CUST_DUPLICATES_HEADERS.length).setValues([CUST_DUPLICATES_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  const rows = groups.map(group => [
+    group.key,
+    group.criteria.join(', '),
+    group.score,
+    group.customers.length,
+    group.customers.map(customer => customer.CodCliente).join(', '),
+    group.customers.map(customer => customer.RazonSocialdelCliente).join(' | '),
+    group.customers.map(customer => customer.NroDocumento).join(' | '),
+    decisions.get(group.key) || CUST_DUPLICATE_PENDING
+  ]);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, CUST_DUPLICATES_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 3, rows.length, 1).setNumberFormat('0%');
+    sheet.getRange(2, CUST_DUPLICATES_HEADERS.length, rows.length, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList([CUST_DUPLICATE_PENDING, CUST_DUPLICATE_MERGE, CUST_DUPLICATE_DISMISSED], true)
+        .build()
+    );
+  }
+
+  const pending = rows.filter(row => row[row.length - 1] === CUST_DUPLICATE_PENDING).length;
+  CustomLogger.log(`Posibles duplicados: ${rows.length} grupos, ${pending} sin revisar`);
+  return { groups: rows.length, pending: pending };
+}
+
+/**
+ * Busca duplicados desde el menú y muestra la hoja de revisión.
+ */
+function findFuzzyDuplicatesFromMenuCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = buildDuplicatesReviewSheetCust();
+    const ss     = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(CUST_DUPLICATES_SHEET_NAME));
+    ui.alert(
+      'Posibles Duplicados',
+      `Se encontraron ${result.groups} grupos de posibles duplicados, ${result.pending} sin revisar.\n\n` +
+      `Marca cada grupo en la columna "Decisión" y vuelve a ejecutar la búsqueda para guardar las decisiones.`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudo completar la búsqueda de duplicados: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
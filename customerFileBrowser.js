@@ -0,0 +1,419 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script muestra el explorador de archivos de clientes: lista los archivos de CUST_FOLDER_ID
+ * (y opcionalmente de sus subcarpetas) con tamaño, fecha de modificación, cantidad de registros y si
+ * ya fueron importados. Permite importar un archivo, con su vista previa, o varios en secuencia, con
+ * el resultado de cada uno.
+ */
+
+const CUST_BROWSER_SUBFOLDERS   = false; // Incluir las subcarpetas al abrir el explorador
+const CUST_BROWSER_COUNT_TTL    = 6 * 60 * 60; // Segundos que se guarda en caché la cantidad de registros de un archivo
+const CUST_QUEUE_PROPERTY       = 'CUST_IMPORT_QUEUE'; // Propiedad del script con la cola de importación de varios archivos
+const CUST_QUEUE_STATUS_PENDING = 'Pendiente';
+const CUST_QUEUE_STATUS_RUNNING = 'En curso';
+
+let custQueueRunning = false; // Evita procesar la cola de nuevo mientras se está procesando
+
+/**
+ * Muestra el explorador de archivos de clientes.
+ */
+function showCustomerFileBrowserCust() {
+  SpreadsheetApp.getUi().showModalDialog(
+    HtmlService.createHtmlOutput(buildCustomerFileBrowserHtmlCust()).setWidth(900).setHeight(550),
+    'Elegir Archivos de Clientes'
+  );
+}
+
+/**
+ * Lista los archivos de clientes de CUST_FOLDER_ID. Se llama desde el explorador.
+ * @param {boolean} includeSubfolders - true para incluir los archivos de todas las subcarpetas, incluida
+ *                                      la de procesados (ver CUST_PROCESSED_FOLDER_NAME).
+ * @returns {Array<Object>} - Un elemento por archivo, del más reciente al más antiguo:
+ *                            { id, name, folder, size, modified, modifiedTime, imported }. imported es
+ *                            'Sí', el resultado del registro de importaciones si no se importó (rechazado,
+ *                            omitido o con error), 'Modificado después de procesarse' o '' si nunca se procesó.
+ */
+function listCustomerFolderFilesCust(includeSubfolders) {
+  const ledger = readImportLedgerCust();
+
+  return getFilesFromFolderCust(CUST_FOLDER_ID, CUST_FILE_EXTENSIONS, { recursive: includeSubfolders }).map(file => {
+    const modified = Math.floor(file.getLastUpdated().getTime() / 1000);
+    const entries  = ledger.filter(entry => entry.fileId === file.getId());
+    const current  = entries.filter(entry => entry.modified === modified).pop();
+    return {
+      id: file.getId(),
+      name: file.getName(),
+      folder: file.getFolderPath(),
+      size: file.getSize(),
+      modified: formatDate(file.getLastUpdated(), 'dateTime'),
+      modifiedTime: file.getLastUpdated().getTime(),
+      imported: current ? (current.outcome === CUST_OUTCOME_IMPORTED ? 'Sí' : current.outcome)
+        : entries.length > 0 ? 'Modificado después de procesarse' : ''
+    };
+  });
+}
+
+/**
+ * Cuenta los registros de un archivo de clientes. Se llama desde el explorador para cada archivo;
+ * el resultado se guarda en caché mientras el archivo no se modifique.
+ * @param {string} fileId - El ID del archivo.
+ * @returns {number} - La cantidad de registros.
+ */
+function countCustomerFileRecordsCust(fileId) {
+  const file  = DriveApp.getFileById(fileId);
+  const key   = `CUST_COUNT_${fileId}_${file.getLastUpdated().getTime()}`;
+  const cache = CacheService.getScriptCache();
+  const saved = cache.get(key);
+  if (saved !== null) return Number(saved);
+
+  const count = readCustomerEntriesCust(file).length;
+  cache.put(key, String(count), CUST_BROWSER_COUNT_TTL);
+  return count;
+}
+
+/**
+ * Inicia la importación de un archivo elegido en el explorador, con su vista previa.
+ * @param {string} fileId - El ID del archivo.
+ */
+function previewCustomerFileCust(fileId) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    prepareProfileImportImp(getImportProfileImp(IMP_PROFILE_CUSTOMERS), DriveApp.getFileById(fileId), ui);
+  } catch (error) {
+    ui.alert('Error en la Importación', `Ha ocurrido un error: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Importa en secuencia varios archivos elegidos en el explorador, del más antiguo al más reciente,
+ * sin vista previa. Los archivos que no terminan en esta ejecución siguen con la continuación de la
+ * importación por lotes.
+ * @param {Array<string>} fileIds - Los IDs de los archivos.
+ * @returns {Object} - El estado de la cola (ver getCustomerImportQueueCust).
+ */
+function importSelectedCustomerFilesCust(fileIds) {
+  const executionStart = new Date().getTime();
+  const busy = () => {
+    throw new Error('Hay otra importación de clientes en curso. Espera a que termine para iniciar una nueva.');
+  };
+
+  return withCustomerImportLockCust(CUST_JOB_LOCK_WAIT_MS, () => {
+    if (isCustomerImportJobActiveCust() || isCustomerImportQueuePendingCust()) busy();
+
+    const items = fileIds
+      .map(fileId => DriveApp.getFileById(fileId))
+      .sort((a, b) => a.getLastUpdated() - b.getLastUpdated())
+      .map(file => ({ fileId: file.getId(), fileName: file.getName(), status: CUST_QUEUE_STATUS_PENDING, title: '', message: '' }));
+    saveCustomerImportQueueCust({ startedAt: new Date().toISOString(), items: items });
+
+    processCustomerImportQueueCust(executionStart);
+    return getCustomerImportQueueCust();
+  }, busy);
+}
+
+/**
+ * Obtiene la cola de importación de varios archivos.
+ * @returns {Object|null} - { startedAt, items }, con un elemento por archivo: { fileId, fileName, status,
+ *                          title, message } (title y message describen el resultado), o null si no hay cola.
+ */
+function getCustomerImportQueueCust() {
+  const value = PropertiesService.getScriptProperties().getProperty(CUST_QUEUE_PROPERTY);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Guarda la cola de importación de varios archivos.
+ * @param {Object} queue - La cola (ver getCustomerImportQueueCust).
+ */
+function saveCustomerImportQueueCust(queue) {
+  PropertiesService.getScriptProperties().setProperty(CUST_QUEUE_PROPERTY, JSON.stringify(queue));
+}
+
+/**
+ * Indica si la cola tiene archivos pendientes o en curso. Un archivo en curso sin una importación
+ * activa quedó interrumpido (ver releaseStaleCustomerImportQueueCust) y no cuenta.
+ * @param {Object} [queue] - La cola; si se omite, se lee la guardada.
+ * @returns {boolean} - true si la cola no terminó.
+ */
+function isCustomerImportQueuePendingCust(queue) {
+  const current = queue === undefined ? getCustomerImportQueueCust() : queue;
+  if (!current) return false;
+  return current.items.some(item => item.status === CUST_QUEUE_STATUS_PENDING) ||
+    (current.items.some(item => item.status === CUST_QUEUE_STATUS_RUNNING) && isCustomerImportJobActiveCust());
+}
+
+/**
+ * Marca con su resultado los archivos de la cola que siguen en curso sin una importación activa, por
+ * ejemplo porque la ejecución se cortó antes de registrar el resultado. Debe llamarse con el bloqueo
+ * de importación (ver withCustomerImportLockCust) y sin una importación activa.
+ * @param {Object} queue - La cola (ver getCustomerImportQueueCust); se modifica y se guarda.
+ */
+function releaseStaleCustomerImportQueueCust(queue) {
+  const stale = queue.items.filter(item => item.status === CUST_QUEUE_STATUS_RUNNING);
+  if (stale.length === 0) return;
+
+  const job = getCustomerImportJobCust();
+  stale.forEach(item => {
+    if (job && job.fileId === item.fileId && (job.status === CUST_JOB_STATUS_DONE || job.status === CUST_JOB_STATUS_ERROR)) {
+      const result = describeCustomerImportResultCust(job);
+      item.status  = job.status;
+      item.title   = result.title;
+      item.message = result.message;
+    } else {
+      item.status  = CUST_JOB_STATUS_ERROR;
+      item.title   = 'Importación Interrumpida';
+      item.message = 'La importación del archivo se interrumpió antes de terminar. Vuelve a elegirlo para importarlo.';
+    }
+    CustomLogger.log(`Cola de importación: ${item.fileName} quedó en curso sin una importación activa (${item.status})`);
+  });
+  saveCustomerImportQueueCust(queue);
+}
+
+/**
+ * Importa los archivos pendientes de la cola, uno por vez, hasta terminarla o hasta que un archivo
+ * quede esperando la continuación de la importación por lotes. Un archivo que falla queda con error
+ * y la cola sigue con el siguiente. Todos los archivos comparten el tiempo de la ejecución: si se agota,
+ * los pendientes siguen en el activador de continuación.
+ * @param {number} [executionStart] - El inicio de la ejecución, en milisegundos (por defecto, ahora).
+ */
+function processCustomerImportQueueCust(executionStart) {
+  const startTime = executionStart || new Date().getTime();
+  withCustomerImportLockCust(CUST_JOB_LOCK_WAIT_MS, () => {
+    custQueueRunning = true;
+    try {
+      let queue = getCustomerImportQueueCust();
+      while (queue && !isCustomerImportJobActiveCust()) {
+        releaseStaleCustomerImportQueueCust(queue);
+        const item = queue.items.find(candidate => candidate.status === CUST_QUEUE_STATUS_PENDING);
+        if (!item) break;
+        if (!hasCustomerImportTimeLeftCust(startTime)) {
+          scheduleCustomerImportContinuationCust();
+          CustomLogger.log(`Cola de importación: tiempo de ejecución agotado; ${item.fileName} y los siguientes siguen en la continuación`);
+          break;
+        }
+
+        item.status = CUST_QUEUE_STATUS_RUNNING;
+        saveCustomerImportQueueCust(queue);
+
+        let rejected = null;
+        try {
+          const file = DriveApp.getFileById(item.fileId);
+          rejected = importFileUnattendedCust(file, computeFileChecksumCust(file), CUST_IMPORT_ORIGIN_MANUAL, startTime);
+        } catch (error) {
+          CustomLogger.error(`Error al importar ${item.fileName} desde la cola: ${error.message}`);
+          logErrorCust(error);
+          rejected = CUST_OUTCOME_ERROR_PREFIX + error.message;
+        }
+
+        queue = getCustomerImportQueueCust();
+        const current = queue && queue.items.find(candidate => candidate.fileId === item.fileId);
+        if (rejected && current) {
+          current.status  = CUST_JOB_STATUS_ERROR;
+          current.title   = 'Archivo no Importado';
+          current.message = rejected;
+          saveCustomerImportQueueCust(queue);
+        }
+      }
+    } finally {
+      custQueueRunning = false;
+    }
+  }, () => CustomLogger.log('Cola de importación: hay otra importación con el bloqueo; la cola sigue al terminar esa importación'));
+}
+
+/**
+ * Vacía la cola de importación desde el menú. La importación en curso, si la hay, termina
+ * normalmente, pero los archivos pendientes ya no se importan.
+ */
+function clearCustomerImportQueueCust() {
+  const ui    = SpreadsheetApp.getUi();
+  const queue = getCustomerImportQueueCust();
+  if (!queue) {
+    ui.alert('Cola de Importación', 'No hay una cola de importación guardada.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const pending = queue.items.filter(item => item.status === CUST_QUEUE_STATUS_PENDING).length;
+  const response = ui.alert(
+    'Vaciar Cola de Importación',
+    `La cola tiene ${queue.items.length} archivos, ${pending} pendientes. ¿Vaciarla? ` +
+    'Si hay una importación en curso, termina normalmente.',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  try {
+    withCustomerImportLockCust(CUST_JOB_LOCK_WAIT_MS, () => {
+      PropertiesService.getScriptProperties().deleteProperty(CUST_QUEUE_PROPERTY);
+      CustomLogger.log(`Cola de importación vaciada: ${queue.items.length} archivos, ${pending} pendientes`);
+    }, () => {
+      throw new Error('Hay una importación tomando el bloqueo. Vuelve a intentarlo en unos segundos.');
+    });
+    ui.alert('Cola de Importación', 'Se vació la cola de importación.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `No se pudo vaciar la cola de importación: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Registra en la cola el resultado de una importación terminada y, si la importación terminó en una
+ * continuación, sigue con los archivos pendientes. Se llama al terminar cada importación por lotes.
+ * @param {Object} job - El estado de la importación terminada (ver startCustomerImportJobCust).
+ * @param {number} executionStart - El inicio de la ejecución, en milisegundos.
+ */
+function advanceCustomerImportQueueCust(job, executionStart) {
+  const queue = getCustomerImportQueueCust();
+  const item  = queue && queue.items.find(candidate => candidate.fileId === job.fileId && candidate.status === CUST_QUEUE_STATUS_RUNNING);
+  if (!item) return;
+
+  const result = describeCustomerImportResultCust(job);
+  item.status  = job.status;
+  item.title   = result.title;
+  item.message = result.message;
+  saveCustomerImportQueueCust(queue);
+
+  if (!custQueueRunning) processCustomerImportQueueCust(executionStart);
+}
+
+/**
+ * Genera el HTML del explorador. La lista de archivos y la cantidad de registros de cada uno se
+ * cargan desde el diálogo, después de abrirlo.
+ * @returns {string} - El contenido HTML.
+ */
+function buildCustomerFileBrowserHtmlCust() {
+  return `
+    <style>
+      body { font-family: 'Roboto', sans-serif; color: #333; font-size: 13px; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 5px; text-align: left; border-bottom: 1px solid #ddd; }
+      th { background-color: #e6f2ff; color: #1a73e8; position: sticky; top: 0; }
+      .number { text-align: right; }
+      .folder { color: #777; font-size: 11px; }
+      .imported { color: #274E13; font-weight: bold; }
+      .changed { color: #7F6000; font-weight: bold; }
+      #list { max-height: 380px; overflow-y: auto; }
+      #actions { margin-top: 10px; }
+      #result { margin-top: 10px; }
+      .report { border: 1px solid #ddd; border-radius: 4px; padding: 8px; margin-bottom: 8px; }
+      .report h4 { margin: 0 0 4px; color: #1a73e8; }
+      .report pre { white-space: pre-wrap; font-family: inherit; margin: 0; }
+      .error { color: #B02B2B; }
+    </style>
+    <label><input type="checkbox" id="subfolders"${CUST_BROWSER_SUBFOLDERS ? ' checked' : ''}> Incluir subcarpetas</label>
+    <div id="list">Cargando archivos...</div>
+    <div id="actions">
+      <button id="preview" disabled>Importar con vista previa</button>
+      <button id="importAll" disabled>Importar seleccionados en secuencia</button>
+      <button onclick="google.script.host.close()">Cerrar</button>
+    </div>
+    <div id="result"></div>
+    <script>
+      var files = [];
+
+      function esc(value) {
+        var div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+      }
+      function size(bytes) {
+        if (bytes >= 1048576) return (bytes / 1048576).toFixed(1).replace('.', ',') + ' MB';
+        return Math.max(Math.round(bytes / 1024), 1) + ' KB';
+      }
+      function selected() {
+        return files.filter(function(file, i) { return document.getElementById('file' + i).checked; });
+      }
+      function updateButtons() {
+        var count = selected().length;
+        document.getElementById('preview').disabled = count !== 1;
+        document.getElementById('importAll').disabled = count === 0;
+      }
+      function showError(error) {
+        var result = document.getElementById('result');
+        result.className = 'error';
+        result.textContent = error.message;
+      }
+
+      function load() {
+        document.getElementById('list').textContent = 'Cargando archivos...';
+        google.script.run
+          .withSuccessHandler(render)
+          .withFailureHandler(showError)
+          .listCustomerFolderFilesCust(document.getElementById('subfolders').checked);
+      }
+
+      function render(list) {
+        files = list;
+        if (files.length === 0) {
+          document.getElementById('list').textContent = 'No se encontraron archivos XML, CSV o XLSX en la carpeta.';
+          updateButtons();
+          return;
+        }
+        document.getElementById('list').innerHTML = '<table><tr><th></th><th>Archivo</th><th class="number">Tamaño</th>' +
+          '<th>Modificado</th><th class="number">Registros</th><th>Importado</th></tr>' +
+          files.map(function(file, i) {
+            return '<tr><td><input type="checkbox" id="file' + i + '" onchange="updateButtons()"></td>' +
+              '<td><label for="file' + i + '">' + esc(file.name) + '</label>' +
+              (file.folder ? '<div class="folder">' + esc(file.folder) + '</div>' : '') + '</td>' +
+              '<td class="number">' + size(file.size) + '</td><td>' + esc(file.modified) + '</td>' +
+              '<td class="number" id="count' + i + '">...</td>' +
+              '<td class="' + (file.imported === 'Sí' ? 'imported' : 'changed') + '">' + esc(file.imported) + '</td></tr>';
+          }).join('') + '</table>';
+        updateButtons();
+        count(0, files);
+      }
+
+      // Los registros se cuentan de a un archivo, para no demorar la lista
+      function count(i, list) {
+        if (i >= list.length || list !== files) return;
+        google.script.run
+          .withSuccessHandler(function(records) {
+            if (list !== files) return;
+            document.getElementById('count' + i).textContent = records;
+            count(i + 1, list);
+          })
+          .withFailureHandler(function() {
+            if (list !== files) return;
+            document.getElementById('count' + i).textContent = 'Error';
+            count(i + 1, list);
+          })
+          .countCustomerFileRecordsCust(list[i].id);
+      }
+
+      function renderQueue(queue) {
+        var result = document.getElementById('result');
+        result.className = '';
+        result.innerHTML = queue.items.map(function(item) {
+          return '<div class="report"><h4>' + esc(item.fileName) + ' - ' + esc(item.title || item.status) + '</h4>' +
+            (item.message ? '<pre>' + esc(item.message) + '</pre>' : '') + '</div>';
+        }).join('');
+        var pending = queue.items.some(function(item) {
+          return item.status === '${CUST_QUEUE_STATUS_PENDING}' || item.status === '${CUST_QUEUE_STATUS_RUNNING}';
+        });
+        if (pending) {
+          setTimeout(function() { google.script.run.withSuccessHandler(renderQueue).getCustomerImportQueueCust(); }, 3000);
+        }
+      }
+
+      document.getElementById('subfolders').onchange = load;
+      document.getElementById('preview').onclick = function() {
+        google.script.run.withFailureHandler(showError).previewCustomerFileCust(selected()[0].id);
+      };
+      document.getElementById('importAll').onclick = function() {
+        var chosen = selected();
+        if (!confirm('Se importarán ' + chosen.length + ' archivo(s) sin vista previa, del más antiguo al más reciente. ¿Deseas continuar?')) return;
+        document.getElementById('preview').disabled = true;
+        document.getElementById('importAll').disabled = true;
+        document.getElementById('result').textContent = 'Importando...';
+        google.script.run
+          .withSuccessHandler(renderQueue)
+          .withFailureHandler(function(error) {
+            showError(error);
+            updateButtons();
+          })
+          .importSelectedCustomerFilesCust(chosen.map(function(file) { return file.id; }));
+      };
+      load();
+    </script>
+  `;
+}
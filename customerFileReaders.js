@@ -0,0 +1,201 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script lee los archivos de Clientes en formato XML, CSV o XLSX y los convierte en
+ * registros con el texto de cada campo por nombre, para que todos los formatos pasen por
+ * el mismo esquema (CUST_SCHEMA), las mismas validaciones y las mismas conversiones.
+ * Los demás perfiles de importación (ver importProfiles.js) los leen con su propio esquema.
+ */
+
+const CUST_CSV_DELIMITERS = [';', ',', '\t', '|']; // Delimitadores candidatos, en orden de preferencia
+const CUST_XLSX_CELL_FIELDS = 'sheets(data(rowData(values(effectiveValue,formattedValue,effectiveFormat(numberFormat(type))))))'; // Valor, texto mostrado y tipo de formato de cada celda
+const CUST_XLSX_DATE_TYPES  = ['DATE', 'DATE_TIME', 'TIME']; // Tipos de formato cuyos números son fechas
+const CUST_XLSX_TEXT_TYPES  = ['string', 'document']; // Tipos de campo que se leen como se muestran en la celda (con ceros a la izquierda)
+
+/**
+ * Lee los registros de un archivo de clientes según su formato.
+ * Cada registro es un objeto { [tag]: texto } con los campos presentes en el archivo.
+ * @param {File} file - El archivo XML, CSV o XLSX.
+ * @param {string} [recordElement=CUST_RECORD_ELEMENT] - El elemento de cada registro en el XML.
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema con el que se reconocen las columnas de CSV y XLSX.
+ * @returns {Array<Object>} - Los registros del archivo.
+ * @throws {Error} Si el formato del archivo no es compatible.
+ */
+function readCustomerEntriesCust(file, recordElement = CUST_RECORD_ELEMENT, schema = CUST_SCHEMA) {
+  const name = file.getName().toLowerCase();
+  if (name.endsWith('.xml')) return readCustomerXMLCust(file, recordElement);
+  if (name.endsWith('.csv')) return readCustomerCSVCust(file, schema);
+  if (name.endsWith('.xlsx')) return readCustomerXLSXCust(file, schema);
+  throw new Error(`Formato de archivo no compatible: "${file.getName()}". Se aceptan ${CUST_FILE_EXTENSIONS.join(', ')}.`);
+}
+
+/**
+ * Lee los registros (por defecto los elementos DATO) de un archivo XML.
+ * @param {File} file - El archivo XML.
+ * @param {string} [recordElement=CUST_RECORD_ELEMENT] - El elemento de cada registro.
+ * @returns {Array<Object>} - Los registros del archivo.
+ */
+function readCustomerXMLCust(file, recordElement = CUST_RECORD_ELEMENT) {
+  const xmlContent = file.getBlob().getDataAsString('ISO-8859-1');
+  const entries    = XmlService.parse(xmlContent).getRootElement().getChildren(recordElement);
+
+  return entries.map(entry => {
+    const record = {};
+    entry.getChildren().forEach(child => { record[child.getName()] = child.getText(); });
+    return record;
+  });
+}
+
+/**
+ * Lee un archivo CSV detectando la codificación (UTF-8 o ISO-8859-1) y el delimitador.
+ * La primera fila debe tener los nombres de los campos, ya sea el tag o el encabezado del esquema.
+ * @param {File} file - El archivo CSV.
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @returns {Array<Object>} - Los registros del archivo.
+ */
+function readCustomerCSVCust(file, schema = CUST_SCHEMA) {
+  const text      = decodeCustomerCSVCust(file.getBlob());
+  const delimiter = detectCSVDelimiterCust(text);
+  const rows      = Utilities.parseCsv(text, delimiter).filter(row => row.some(cell => String(cell).trim() !== ''));
+
+  return rowsToCustomerRecordsCust(rows, schema);
+}
+
+/**
+ * Convierte un archivo XLSX a Hoja de cálculo de Google con el servicio avanzado de Drive y lee la
+ * primera hoja con el servicio avanzado de Sheets (SpreadsheetApp no puede abrir otros archivos por
+ * @OnlyCurrentDoc). La copia temporal se envía a la papelera aunque la lectura falle.
+ * @param {File} file - El archivo XLSX.
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @returns {Array<Object>} - Los registros del archivo.
+ */
+function readCustomerXLSXCust(file, schema = CUST_SCHEMA) {
+  const copy = Drive.Files.copy(
+    { name: `${file.getName()} (temporal)`, mimeType: MimeType.GOOGLE_SHEETS },
+    file.getId(),
+    { supportsAllDrives: true }
+  );
+  try {
+    const spreadsheet = Sheets.Spreadsheets.get(copy.id, { includeGridData: true, fields: CUST_XLSX_CELL_FIELDS });
+    const grid        = spreadsheet.sheets[0].data[0] || {};
+    const rows        = (grid.rowData || [])
+      .map(row => row.values || [])
+      .filter(cells => cells.some(cell => cellToCustomerTextCust(cell).trim() !== ''));
+    if (rows.length === 0) return [];
+
+    // El tipo de cada columna sale del campo del esquema que corresponde a su encabezado
+    const types = rows[0].map(cell => {
+      const tag   = resolveCustomerTagCust(cellToCustomerTextCust(cell), schema);
+      const field = schema.find(f => f.tag === tag);
+      return field ? field.type : null;
+    });
+    return rowsToCustomerRecordsCust(rows.map(cells => cells.map((cell, index) => cellToCustomerTextCust(cell, types[index]))), schema);
+  } finally {
+    Drive.Files.update({ trashed: true }, copy.id, null, { supportsAllDrives: true });
+  }
+}
+
+/**
+ * Decodifica el contenido de un CSV. Se intenta UTF-8 y, si el texto tiene caracteres
+ * inválidos, se usa ISO-8859-1 (la codificación de las exportaciones XML del ERP).
+ * @param {Blob} blob - El contenido del archivo.
+ * @returns {string} - El texto del archivo, sin la marca BOM.
+ */
+function decodeCustomerCSVCust(blob) {
+  let text = blob.getDataAsString('UTF-8');
+  if (text.indexOf('\uFFFD') !== -1) {
+    text = blob.getDataAsString('ISO-8859-1');
+  }
+  return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Detecta el delimitador de un CSV contando los candidatos fuera de comillas en la primera línea.
+ * @param {string} text - El texto del archivo.
+ * @returns {string} - El delimitador detectado (por defecto ";", el habitual en Excel con configuración argentina).
+ */
+function detectCSVDelimiterCust(text) {
+  const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+  let best = CUST_CSV_DELIMITERS[0];
+  let bestCount = 0;
+  CUST_CSV_DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Convierte filas con encabezado en registros, asociando cada columna a un campo del esquema.
+ * @param {Array<Array<string>>} rows - Las filas del archivo, la primera con los encabezados.
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @returns {Array<Object>} - Los registros del archivo.
+ */
+function rowsToCustomerRecordsCust(rows, schema = CUST_SCHEMA) {
+  if (rows.length === 0) return [];
+
+  const tags = rows[0].map(header => resolveCustomerTagCust(header, schema));
+  return rows.slice(1).map(row => {
+    const record = {};
+    tags.forEach((tag, index) => {
+      if (tag !== '') record[tag] = index < row.length ? String(row[index]) : '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Obtiene el tag del esquema que corresponde al encabezado de una columna. Se aceptan tanto
+ * el tag ("SF_CreditoMaximo") como el encabezado de la hoja ("SF Crédito Máximo"), sin
+ * distinguir mayúsculas, acentos, espacios ni signos de puntuación.
+ * @param {string} header - El encabezado de la columna.
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @returns {string} - El tag del esquema, o el encabezado sin cambios si no corresponde a ningún campo.
+ */
+function resolveCustomerTagCust(header, schema = CUST_SCHEMA) {
+  const key   = normalizeHeaderCust(header);
+  const field = schema.find(f => normalizeHeaderCust(f.tag) === key || normalizeHeaderCust(f.header) === key);
+  return field ? field.tag : String(header).trim();
+}
+
+/**
+ * Normaliza un encabezado para compararlo: minúsculas, sin acentos ni caracteres no alfanuméricos.
+ * @param {string} header - El encabezado.
+ * @returns {string} - El encabezado normalizado.
+ */
+function normalizeHeaderCust(header) {
+  return String(header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Convierte una celda de XLSX leída con el servicio de Sheets al texto que emitiría el ERP, para que
+ * pase por las mismas conversiones que el XML: fechas "dd/MM/yyyy HH:mm:ss", booleanos
+ * "Verdadero"/"Falso" y números con coma decimal, sin notación exponencial. Los números de los campos
+ * de texto (ver CUST_XLSX_TEXT_TYPES) se toman como se muestran, para conservar los ceros a la izquierda.
+ * @param {Object} cell - La celda: { effectiveValue, formattedValue, effectiveFormat }.
+ * @param {string} [type] - El tipo del campo del esquema de la columna, si se conoce.
+ * @returns {string} - El texto equivalente ('' si la celda está vacía).
+ */
+function cellToCustomerTextCust(cell, type) {
+  const value = cell.effectiveValue;
+  if (!value) return '';
+  if (value.boolValue !== undefined) return value.boolValue ? 'Verdadero' : 'Falso';
+  if (value.numberValue === undefined) return String(value.stringValue || '');
+  if (CUST_XLSX_TEXT_TYPES.indexOf(type) !== -1 && cell.formattedValue !== undefined) return cell.formattedValue;
+
+  const format = cell.effectiveFormat && cell.effectiveFormat.numberFormat;
+  if (format && CUST_XLSX_DATE_TYPES.indexOf(format.type) !== -1) {
+    // El número de serie es la hora local de la planilla: se formatea en UTC para no desplazarla
+    const date = new Date(Date.UTC(1899, 11, 30) + Math.round(value.numberValue * 86400000));
+    return Utilities.formatDate(date, 'UTC', 'dd/MM/yyyy HH:mm:ss');
+  }
+  return value.numberValue
+    .toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+    .replace('.', ',');
+}
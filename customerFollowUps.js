@@ -0,0 +1,405 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script guarda el seguimiento de cobranza de cada cliente (nota, autor, fecha de seguimiento y
+ * estado) en la hoja oculta "Seguimiento", separada de la hoja de clientes para que las importaciones
+ * no lo pisen ni lo dejen en la fila de otro cliente. El seguimiento se copia junto a los datos
+ * importados al terminar cada importación, se edita desde un panel lateral y la hoja
+ * "Seguimientos del Día" lista los clientes con seguimiento para hoy o vencido.
+ */
+
+const CUST_FOLLOWUP_SHEET_NAME     = 'Seguimiento'; // Hoja oculta con el seguimiento de cada cliente, por CodCliente
+const CUST_FOLLOWUP_DUE_SHEET_NAME = 'Seguimientos del Día'; // Hoja con los seguimientos para hoy o vencidos
+const CUST_FOLLOWUP_OVERDUE_COLOR  = '#F4C7C3'; // Color de los seguimientos vencidos en la lista del día
+const CUST_FOLLOWUP_NOTE_MAX       = 2000; // Largo máximo de la nota
+const CUST_FOLLOWUP_LOCK_WAIT_MS   = 10000; // Espera máxima por el bloqueo de importación al guardar desde el panel
+
+const CUST_FOLLOWUP_STATUSES      = ['Pendiente', 'Promesa de pago', 'En gestión', 'Resuelto']; // El primero es el predeterminado
+const CUST_FOLLOWUP_STATUS_CLOSED = 'Resuelto'; // Estado que no aparece en la lista del día
+
+// Columnas de la hoja "Seguimiento" y columnas que se copian a la hoja de clientes (ver getFollowUpColumnCust)
+const CUST_FOLLOWUP_STORE_HEADERS = ['CodCliente', 'Nota', 'Autor', 'Fecha de Seguimiento', 'Estado', 'Última Modificación'];
+const CUST_FOLLOWUP_HEADERS       = ['Estado Seguimiento', 'Fecha de Seguimiento', 'Nota de Seguimiento', 'Autor del Seguimiento'];
+
+/**
+ * Obtiene la primera columna del seguimiento en la hoja de clientes, después de los saldos en dólares
+ * (un saldo por campo de CUST_USD_FIELDS, la cotización y su fecha). Se calcula al usarla porque las
+ * constantes de las que depende están en otros archivos.
+ * @returns {number} - El número de columna.
+ */
+function getFollowUpColumnCust() {
+  return CUST_USD_COLUMN + CUST_USD_FIELDS.length + 2;
+}
+
+/**
+ * Obtiene la hoja del seguimiento, creándola oculta si no existe.
+ * @returns {Sheet} - La hoja "Seguimiento".
+ */
+function getFollowUpStoreSheetCust() {
+  const ss  = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CUST_FOLLOWUP_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_FOLLOWUP_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUST_FOLLOWUP_STORE_HEADERS.length).setValues([CUST_FOLLOWUP_STORE_HEADERS]).setFontWeight('bold');
+    sheet.getRange('A:A').setNumberFormat('@'); // Los códigos con ceros iniciales se guardan como texto
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/**
+ * Lee el seguimiento de todos los clientes.
+ * @returns {Map<string, Object>} - Por CodCliente: { code, note, author, date, status, updatedAt, row }.
+ *                                  date es la fecha de seguimiento (yyyy-mm-dd) o '' si no tiene.
+ */
+function readCustomerFollowUpsCust() {
+  const sheet     = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_FOLLOWUP_SHEET_NAME);
+  const followUps = new Map();
+  if (!sheet || sheet.getLastRow() < 2) return followUps;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_FOLLOWUP_STORE_HEADERS.length).getValues().forEach((row, index) => {
+    const code = String(row[0]).trim();
+    if (code === '') return;
+    followUps.set(code, {
+      code: code,
+      note: String(row[1]),
+      author: String(row[2]),
+      date: row[3] instanceof Date && !isNaN(row[3].getTime()) ? formatDate(row[3], 'sheet') : '',
+      status: String(row[4]) || CUST_FOLLOWUP_STATUSES[0],
+      updatedAt: row[5],
+      row: index + 2
+    });
+  });
+  return followUps;
+}
+
+/**
+ * Convierte una fecha yyyy-mm-dd en una fecha local, sin hora.
+ * @param {string} date - La fecha (yyyy-mm-dd).
+ * @returns {Date} - La fecha.
+ */
+function followUpDateToDateCust(date) {
+  const parts = date.split('-').map(Number);
+  return new Date(parts[0], parts[1] - 1, parts[2]);
+}
+
+/**
+ * Muestra el panel lateral de seguimiento, con el cliente de la fila seleccionada en la hoja de clientes.
+ */
+function showCustomerFollowUpSidebarCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    const row   = sheet.getActiveRange() ? sheet.getActiveRange().getRow() : 0;
+    const code  = sheet.getName() === CUST_SHEET_NAME && row >= 2 ? String(sheet.getRange(row, 1).getValue()) : '';
+
+    ui.showSidebar(HtmlService.createHtmlOutput(buildCustomerFollowUpHtmlCust(code)).setTitle('Seguimiento de Cliente'));
+  } catch (error) {
+    ui.alert('Error', `No se pudo abrir el seguimiento: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Obtiene el seguimiento de un cliente para el panel. Las fechas se envían como texto.
+ * @param {*} codCliente - El código del cliente.
+ * @returns {Object} - { code, name, note, author, date, status, updatedAt }.
+ */
+function getCustomerFollowUpCust(codCliente) {
+  const customer = findCustomerRecordCust(String(codCliente).trim());
+  const saved    = readCustomerFollowUpsCust().get(String(customer.CodCliente));
+
+  return {
+    code: String(customer.CodCliente),
+    name: String(customer.RazonSocialdelCliente),
+    note: saved ? saved.note : '',
+    author: saved ? saved.author : '',
+    date: saved ? saved.date : '',
+    status: saved ? saved.status : CUST_FOLLOWUP_STATUSES[0],
+    updatedAt: saved && saved.updatedAt instanceof Date ? formatDate(saved.updatedAt, 'dateTime') : ''
+  };
+}
+
+/**
+ * Guarda el seguimiento de un cliente desde el panel, lo copia a su fila de la hoja de clientes y
+ * vuelve a generar la lista del día. Se guarda con el bloqueo de importación (ver
+ * withCustomerImportLockCust): dos guardados simultáneos podrían agregar el mismo cliente en la misma
+ * fila de la hoja "Seguimiento", y una importación puede mover al cliente de fila o reescribir las
+ * columnas de seguimiento mientras tanto (ver updateFollowUpColumnsCust).
+ * @param {Object} form - { code, note, date, status }: date es yyyy-mm-dd o '' para quitar la fecha.
+ * @returns {Object} - El seguimiento guardado (ver getCustomerFollowUpCust).
+ * @throws {Error} Si el cliente no está en la hoja, el estado no es válido, la fecha no tiene el formato esperado
+ *                 o hay una importación con el bloqueo.
+ */
+function saveCustomerFollowUpCust(form) {
+  const note = String(form.note || '').trim();
+  const date = String(form.date || '').trim();
+
+  if (CUST_FOLLOWUP_STATUSES.indexOf(form.status) === -1) throw new Error(`Estado no válido: "${form.status}".`);
+  if (date !== '' && !/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Fecha no válida: "${date}".`);
+  if (note.length > CUST_FOLLOWUP_NOTE_MAX) throw new Error(`La nota supera los ${CUST_FOLLOWUP_NOTE_MAX} caracteres.`);
+
+  return withCustomerImportLockCust(CUST_FOLLOWUP_LOCK_WAIT_MS, () => writeCustomerFollowUpCust(form, note, date), () => {
+    throw new Error('Hay una importación de clientes actualizando la hoja. Vuelve a guardar en unos segundos.');
+  });
+}
+
+/**
+ * Escribe el seguimiento ya validado de un cliente. Debe llamarse con el bloqueo de importación.
+ * @param {Object} form - El formulario del panel (ver saveCustomerFollowUpCust).
+ * @param {string} note - La nota, sin espacios al principio ni al final.
+ * @param {string} date - La fecha de seguimiento (yyyy-mm-dd) o ''.
+ * @returns {Object} - El seguimiento guardado (ver getCustomerFollowUpCust).
+ */
+function writeCustomerFollowUpCust(form, note, date) {
+  const customer = findCustomerRecordCust(String(form.code).trim());
+  const code     = String(customer.CodCliente);
+
+  const sheet  = getFollowUpStoreSheetCust();
+  const saved  = readCustomerFollowUpsCust().get(code);
+  const author = Session.getActiveUser().getEmail() || '(sin usuario)';
+  const values = [code, note, author, date === '' ? '' : followUpDateToDateCust(date), form.status, new Date()];
+  const row    = saved ? saved.row : sheet.getLastRow() + 1;
+  sheet.getRange(row, 1, 1, values.length).setValues([values]);
+  sheet.getRange(row, 4).setNumberFormat('dd/mm/yyyy');
+  sheet.getRange(row, 6).setNumberFormat('dd/mm/yyyy hh:mm');
+
+  writeFollowUpHeadersCust(getCustomerSheetCust());
+  getCustomerSheetCust()
+    .getRange(customer.row, getFollowUpColumnCust(), 1, CUST_FOLLOWUP_HEADERS.length)
+    .setValues([[form.status, values[3], note, author]]);
+  buildDueFollowUpsSheetCust();
+
+  CustomLogger.log(`Seguimiento del cliente ${code} guardado por ${author}: ${form.status}${date ? ', ' + date : ''}`);
+  return getCustomerFollowUpCust(code);
+}
+
+/**
+ * Escribe los encabezados de las columnas de seguimiento en la hoja de clientes.
+ * @param {Sheet} sheet - La hoja de clientes.
+ */
+function writeFollowUpHeadersCust(sheet) {
+  sheet.getRange(1, getFollowUpColumnCust(), 1, CUST_FOLLOWUP_HEADERS.length).setValues([CUST_FOLLOWUP_HEADERS]).setFontWeight('bold');
+}
+
+/**
+ * Copia el seguimiento de cada cliente a su fila de la hoja de clientes, a partir de getFollowUpColumnCust.
+ * Se ejecuta al terminar cada importación, con el bloqueo de importación que también toma el panel al
+ * guardar, ya que los clientes pueden cambiar de fila; los cambios hechos a mano en estas columnas se
+ * pierden, el seguimiento se edita desde el panel.
+ * @returns {Object} - { customers, withFollowUp }: la cantidad de clientes y la de clientes con seguimiento.
+ */
+function updateFollowUpColumnsCust() {
+  const sheetCust = getCustomerSheetCust();
+  const lastRow   = sheetCust.getLastRow();
+  const followUps = readCustomerFollowUpsCust();
+  const customers = getCustomerRecordsCust();
+
+  writeFollowUpHeadersCust(sheetCust);
+  let withFollowUp = 0;
+  if (lastRow >= 2) {
+    const values = Array.from({ length: lastRow - 1 }, () => Array(CUST_FOLLOWUP_HEADERS.length).fill(''));
+    customers.forEach(customer => {
+      const saved = followUps.get(String(customer.CodCliente));
+      if (!saved) return;
+      values[customer.row - 2] = [saved.status, saved.date === '' ? '' : followUpDateToDateCust(saved.date), saved.note, saved.author];
+      withFollowUp++;
+    });
+
+    const batch = createSheetsBatch('Clientes: columnas de seguimiento');
+    batch.setNumberFormats(sheetCust, 2, values.length, getFollowUpColumnCust(), ['General', 'dd/mm/yyyy', '@', '@']);
+    batch.setValues(sheetCust, 2, getFollowUpColumnCust(), values);
+    batch.commit();
+  }
+
+  CustomLogger.log(`Seguimiento copiado a la hoja de clientes: ${withFollowUp} de ${customers.length} clientes`);
+  return { customers: customers.length, withFollowUp: withFollowUp };
+}
+
+/**
+ * Genera la hoja "Seguimientos del Día" con los seguimientos no resueltos cuya fecha es hoy o anterior,
+ * del más atrasado al más reciente. Los vencidos se resaltan.
+ * @param {Object} [job] - La importación que terminó; su fecha de inicio se toma como fecha del día.
+ * @returns {Object} - { due, overdue }: la cantidad de seguimientos de la lista y la de vencidos.
+ */
+function buildDueFollowUpsSheetCust(job) {
+  const today     = formatDate(job ? new Date(job.startedAt) : new Date(), 'sheet');
+  const customers = new Map(getCustomerRecordsCust().map(customer => [String(customer.CodCliente), customer]));
+  const day       = 24 * 60 * 60 * 1000;
+
+  const due = Array.from(readCustomerFollowUpsCust().values())
+    .filter(saved => saved.date !== '' && saved.date <= today && saved.status !== CUST_FOLLOWUP_STATUS_CLOSED)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.code.localeCompare(b.code));
+
+  const rows = due.map(saved => {
+    const customer = customers.get(saved.code);
+    const date     = followUpDateToDateCust(saved.date);
+    return [
+      saved.code,
+      customer ? customer.RazonSocialdelCliente : `(no está en la hoja "${CUST_SHEET_NAME}")`,
+      customer ? [customer.CodVendedor, customer.Vendedor].map(value => String(value).trim()).filter(Boolean).join(' - ') : '',
+      date,
+      Math.round((followUpDateToDateCust(today) - date) / day),
+      saved.status,
+      saved.note,
+      saved.author
+    ];
+  });
+
+  const ss      = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet   = ss.getSheetByName(CUST_FOLLOWUP_DUE_SHEET_NAME) || ss.insertSheet(CUST_FOLLOWUP_DUE_SHEET_NAME);
+  const headers = ['CodCliente', 'Razón Social', 'Vendedor', 'Fecha de Seguimiento', 'Días de Atraso', 'Estado', 'Nota', 'Autor'];
+  sheet.clear();
+  sheet.getRange(1, 1).setValue(`Seguimientos al ${formatDate(followUpDateToDateCust(today))}`).setFontWeight('bold');
+  sheet.getRange(2, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(2);
+
+  const batch = createSheetsBatch('Seguimientos del día');
+  if (rows.length > 0) {
+    batch.setNumberFormats(sheet, 3, rows.length, 1, ['@', '@', '@', 'dd/mm/yyyy', '0', 'General', '@', '@']);
+    batch.setValues(sheet, 3, 1, rows);
+    batch.setBackgrounds(sheet, 3, 1, rows.map(row => Array(headers.length).fill(row[4] > 0 ? CUST_FOLLOWUP_OVERDUE_COLOR : null)));
+  } else {
+    batch.setValues(sheet, 3, 1, [['No hay seguimientos para hoy ni vencidos.']]);
+  }
+  batch.commit();
+
+  const overdue = rows.filter(row => row[4] > 0).length;
+  CustomLogger.log(`Seguimientos del día actualizado: ${rows.length} seguimientos, ${overdue} vencidos`);
+  return { due: rows.length, overdue: overdue };
+}
+
+/**
+ * Genera la lista de seguimientos del día desde el menú y la muestra.
+ */
+function updateDueFollowUpsCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = buildDueFollowUpsSheetCust();
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_FOLLOWUP_DUE_SHEET_NAME).activate();
+    ui.alert(
+      CUST_FOLLOWUP_DUE_SHEET_NAME,
+      `Hay ${result.due} clientes con seguimiento para hoy o vencido (${result.overdue} vencidos).`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudo generar la lista de seguimientos: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Genera el HTML del panel de seguimiento.
+ * @param {string} code - El código del cliente seleccionado al abrir el panel, o '' si no hay ninguno.
+ * @returns {string} - El contenido HTML.
+ */
+function buildCustomerFollowUpHtmlCust(code) {
+  // Se escapa "<" para que un texto con "</script>" no cierre el bloque del script
+  const initial  = JSON.stringify(code).replace(/</g, '\\u003c');
+  const statuses = JSON.stringify(CUST_FOLLOWUP_STATUSES).replace(/</g, '\\u003c');
+
+  return `
+    <style>
+      body { font-family: 'Roboto', sans-serif; color: #333; font-size: 13px; }
+      h3 { color: #1a73e8; margin: 10px 0 5px; }
+      label { display: block; margin-top: 10px; color: #777; }
+      input, select, textarea { width: 100%; box-sizing: border-box; padding: 6px; font-size: 13px; font-family: inherit; }
+      textarea { height: 140px; resize: vertical; }
+      .row { display: flex; gap: 6px; }
+      .row input { flex: 1; }
+      .note { color: #777; font-size: 11px; margin-top: 4px; }
+      button { margin-top: 12px; }
+      .error { color: #B02B2B; }
+      .ok { color: #274E13; }
+    </style>
+    <div class="row">
+      <input id="code" type="text" placeholder="CodCliente" autocomplete="off">
+      <button id="load" style="margin-top: 0">Cargar</button>
+    </div>
+    <div id="message"></div>
+    <form id="form" style="display: none">
+      <h3 id="title"></h3>
+      <label for="status">Estado</label>
+      <select id="status"></select>
+      <label for="date">Fecha de Seguimiento</label>
+      <input id="date" type="date">
+      <label for="note">Nota</label>
+      <textarea id="note" maxlength="${CUST_FOLLOWUP_NOTE_MAX}"></textarea>
+      <div id="updated" class="note"></div>
+      <button id="save" type="submit">Guardar</button>
+    </form>
+    <script>
+      var statuses = ${statuses};
+      var current = null;
+
+      document.getElementById('status').innerHTML = statuses.map(function(status) {
+        var option = document.createElement('option');
+        option.value = status;
+        option.textContent = status;
+        return option.outerHTML;
+      }).join('');
+
+      function showMessage(text, tone) {
+        var message = document.getElementById('message');
+        message.className = tone || '';
+        message.textContent = text;
+      }
+
+      function render(followUp) {
+        current = followUp;
+        document.getElementById('code').value = followUp.code;
+        document.getElementById('title').textContent = followUp.code + ' - ' + followUp.name;
+        document.getElementById('status').value = followUp.status;
+        document.getElementById('date').value = followUp.date;
+        document.getElementById('note').value = followUp.note;
+        document.getElementById('updated').textContent = followUp.updatedAt
+          ? 'Última modificación: ' + followUp.updatedAt + (followUp.author ? ' por ' + followUp.author : '')
+          : 'El cliente no tiene seguimiento.';
+        document.getElementById('form').style.display = '';
+      }
+
+      function load() {
+        var code = document.getElementById('code').value.trim();
+        if (code === '') return;
+        document.getElementById('form').style.display = 'none';
+        showMessage('Cargando...');
+        google.script.run
+          .withSuccessHandler(function(followUp) {
+            showMessage('');
+            render(followUp);
+          })
+          .withFailureHandler(function(error) { showMessage(error.message, 'error'); })
+          .getCustomerFollowUpCust(code);
+      }
+
+      document.getElementById('load').onclick = load;
+      document.getElementById('code').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') load();
+      });
+      document.getElementById('form').addEventListener('submit', function(event) {
+        event.preventDefault();
+        var save = document.getElementById('save');
+        save.disabled = true;
+        showMessage('Guardando...');
+        google.script.run
+          .withSuccessHandler(function(followUp) {
+            save.disabled = false;
+            render(followUp);
+            showMessage('Seguimiento guardado.', 'ok');
+          })
+          .withFailureHandler(function(error) {
+            save.disabled = false;
+            showMessage(error.message, 'error');
+          })
+          .saveCustomerFollowUpCust({
+            code: current.code,
+            note: document.getElementById('note').value,
+            date: document.getElementById('date').value,
+            status: document.getElementById('status').value
+          });
+      });
+
+      document.getElementById('code').value = ${initial};
+      load();
+    </script>
+  `;
+}
@@ -0,0 +1,143 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script registra el historial de cambios por campo de cada importación de Clientes
+ * y permite consultar la línea de tiempo de un cliente.
+ */
+
+const CUST_HISTORY_SHEET_NAME = 'Historial Clientes'; // Nombre de la hoja de historial
+const CUST_HISTORY_HEADERS    = ['CodCliente', 'Campo', 'Valor Anterior', 'Valor Nuevo', 'Fecha Importación', 'Archivo'];
+
+/**
+ * Obtiene la hoja de historial, creándola con sus encabezados si no existe.
+ * @returns {Sheet} - La hoja de historial.
+ */
+function getCustomerHistorySheetCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_HISTORY_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUST_HISTORY_HEADERS.length).setValues([CUST_HISTORY_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Registra en la hoja de historial los cambios detectados en una importación.
+ * @param {Array<Object>} changes - Los cambios por campo ({ key, field, oldValue, newValue }).
+ * @param {Date} importedAt - La fecha y hora de la importación.
+ * @param {string} fileName - El nombre del archivo importado.
+ */
+function logCustomerChangesCust(changes, importedAt, fileName) {
+  if (!changes || changes.length === 0) return;
+
+  const sheet = getCustomerHistorySheetCust();
+  const rows  = changes.map(change => [
+    change.key,
+    change.field,
+    change.oldValue === null || change.oldValue === undefined ? '' : change.oldValue,
+    change.newValue === null || change.newValue === undefined ? '' : change.newValue,
+    importedAt,
+    fileName
+  ]);
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, CUST_HISTORY_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Obtiene todos los cambios registrados para un cliente, del más antiguo al más reciente.
+ * @param {number|string} codCliente - El código del cliente.
+ * @returns {Array<Array>} - Las filas del historial del cliente.
+ */
+function getCustomerHistoryCust(codCliente) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_HISTORY_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_HISTORY_HEADERS.length).getValues()
+    .filter(row => String(row[0]) === String(codCliente))
+    .sort((a, b) => new Date(a[4]) - new Date(b[4]));
+}
+
+/**
+ * Muestra la línea de tiempo de cambios del cliente seleccionado en la hoja de clientes.
+ */
+function showCustomerHistoryCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    const row   = sheet.getActiveRange() ? sheet.getActiveRange().getRow() : 0;
+
+    if (sheet.getName() !== CUST_SHEET_NAME || row < 2) {
+      ui.alert('Historial de Cliente', `Selecciona una fila de un cliente en la hoja "${CUST_SHEET_NAME}".`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const codCliente   = sheet.getRange(row, 1).getValue();
+    const razonSocial  = sheet.getRange(row, 2).getValue();
+    const history      = getCustomerHistoryCust(codCliente);
+
+    if (history.length === 0) {
+      ui.alert('Historial de Cliente', `No hay cambios registrados para el cliente ${codCliente}.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    ui.showModalDialog(
+      HtmlService.createHtmlOutput(buildCustomerHistoryHtmlCust(codCliente, razonSocial, history))
+        .setWidth(700)
+        .setHeight(500),
+      'Historial de Cliente'
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudo obtener el historial: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Genera el HTML con la línea de tiempo de un cliente.
+ * @param {number|string} codCliente - El código del cliente.
+ * @param {string} razonSocial - La razón social del cliente.
+ * @param {Array<Array>} history - Las filas del historial del cliente.
+ * @returns {string} - El contenido HTML.
+ */
+function buildCustomerHistoryHtmlCust(codCliente, razonSocial, history) {
+  const formatValue = value => value instanceof Date ? formatDate(value, 'dateTime') : escapeHtmlCust(value);
+
+  const rows = history.map(row => `
+      <tr>
+        <td>${formatValue(row[4])}</td>
+        <td>${escapeHtmlCust(row[1])}</td>
+        <td>${formatValue(row[2])}</td>
+        <td>${formatValue(row[3])}</td>
+        <td>${escapeHtmlCust(row[5])}</td>
+      </tr>`).join('');
+
+  return `
+    <style>
+      body { font-family: 'Roboto', sans-serif; color: #333; font-size: 13px; }
+      h2 { color: #1a73e8; margin-bottom: 5px; }
+      p { margin-top: 0; font-style: italic; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 6px; text-align: left; border-bottom: 1px solid #ddd; }
+      th { background-color: #e6f2ff; color: #1a73e8; }
+    </style>
+    <h2>${escapeHtmlCust(codCliente)} - ${escapeHtmlCust(razonSocial)}</h2>
+    <p>${history.length} cambios registrados</p>
+    <table>
+      <tr><th>Importación</th><th>Campo</th><th>Valor Anterior</th><th>Valor Nuevo</th><th>Archivo</th></tr>
+      ${rows}
+    </table>
+  `;
+}
+
+/**
+ * Escapa un valor para insertarlo en HTML.
+ * @param {*} value - El valor a escapar.
+ * @returns {string} - El texto escapado.
+ */
+function escapeHtmlCust(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
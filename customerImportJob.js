@@ -0,0 +1,444 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script ejecuta la importación de Clientes por lotes, guardando el avance para
+ * poder continuar en una nueva ejecución antes de alcanzar el límite de tiempo de Apps Script.
+ */
+
+const CUST_JOB_PROPERTY        = 'CUST_IMPORT_JOB'; // Propiedad del script con el estado de la importación
+const CUST_JOB_CHUNK_SIZE      = 500; // Registros por lote
+const CUST_JOB_TIME_BUDGET_MS  = 4.5 * 60 * 1000; // Tiempo máximo de procesamiento por ejecución
+const CUST_JOB_RESUME_DELAY_MS = 7 * 60 * 1000; // Mayor que el límite de ejecución, para no superponerse
+const CUST_JOB_RESUME_HANDLER  = 'continueCustomerImportJobCust'; // Función que ejecuta el activador de continuación
+const CUST_JOB_STATUS_RUNNING  = 'En curso';
+const CUST_JOB_STATUS_WAITING  = 'Esperando continuación';
+const CUST_JOB_STATUS_POST     = 'Actualizando hojas derivadas'; // Registros importados, faltan las tareas posteriores
+const CUST_JOB_STATUS_DONE     = 'Completada';
+const CUST_JOB_STATUS_ERROR    = 'Error';
+const CUST_JOB_LOCK_WAIT_MS    = 5000; // Espera máxima por el bloqueo al iniciar una importación
+
+let custImportLockDepth = 0; // Cantidad de llamadas anidadas que tienen el bloqueo en esta ejecución
+
+/**
+ * Ejecuta una función con el bloqueo del script que comparten todas las formas de importar clientes
+ * (manual, programada, continuación y cola). Si esta ejecución ya tiene el bloqueo, la función se
+ * ejecuta directamente, ya que una importación puede iniciar la siguiente de la cola.
+ * @param {number} waitMs - La espera máxima por el bloqueo, en milisegundos.
+ * @param {Function} run - La función a ejecutar con el bloqueo.
+ * @param {Function} onBusy - La función a ejecutar si no se obtuvo el bloqueo.
+ * @returns {*} - El resultado de run o de onBusy.
+ */
+function withCustomerImportLockCust(waitMs, run, onBusy) {
+  if (custImportLockDepth > 0) return run();
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(waitMs)) return onBusy();
+
+  custImportLockDepth++;
+  try {
+    return run();
+  } finally {
+    custImportLockDepth--;
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Inicia la importación por lotes de un archivo ya validado y procesa todos los lotes
+ * que entren en el tiempo disponible. Antes de escribir se guarda un respaldo de la hoja de clientes.
+ * El inicio se hace con el bloqueo del script, para que una importación manual y una programada
+ * no puedan iniciar dos importaciones sobre la misma hoja.
+ * @param {File} file - El archivo a importar (XML, CSV o XLSX).
+ * @param {string} origin - El origen de la importación (CUST_IMPORT_ORIGIN_MANUAL o CUST_IMPORT_ORIGIN_SCHEDULED).
+ * @param {string} [checksum] - El checksum MD5 del archivo, si ya fue calculado.
+ * @param {number} [executionStart] - El inicio de la ejecución, en milisegundos (por defecto, ahora). Si la
+ *                                    ejecución ya importó otros archivos, el tiempo que usaron se descuenta.
+ * @returns {Object} - El estado de la importación al terminar esta ejecución:
+ *                     { fileId, fileName, checksum, origin, snapshot, status, offset, total, startedAt, finishedAt,
+ *                       postTask, error, counts: { records, inserted, updated, unchanged, retired, invalid, duplicates } }.
+ * @throws {Error} Si hay otra importación en curso.
+ */
+function startCustomerImportJobCust(file, origin, checksum, executionStart) {
+  const startTime = executionStart || new Date().getTime(); // El respaldo también cuenta dentro del tiempo
+  const busy = () => {
+    throw new Error('Hay otra importación de clientes en curso. Espera a que termine para iniciar una nueva.');
+  };
+
+  return withCustomerImportLockCust(CUST_JOB_LOCK_WAIT_MS, () => {
+    if (isCustomerImportJobActiveCust()) busy();
+
+    const job = {
+      fileId: file.getId(),
+      fileName: file.getName(),
+      checksum: checksum || computeFileChecksumCust(file),
+      origin: origin,
+      snapshot: null,
+      status: CUST_JOB_STATUS_RUNNING,
+      offset: 0,
+      total: 0,
+      postTask: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+      counts: { records: 0, inserted: 0, updated: 0, unchanged: 0, retired: 0, invalid: 0, duplicates: 0 }
+    };
+    saveCustomerImportJobCust(job); // Se marca en curso antes del respaldo, que puede tardar
+    try {
+      job.snapshot = createCustomerSnapshotCust(file.getName(), origin);
+    } catch (error) {
+      job.status     = CUST_JOB_STATUS_ERROR;
+      job.error      = 'No se pudo guardar el respaldo previo: ' + error.message;
+      job.finishedAt = new Date().toISOString();
+      saveCustomerImportJobCust(job);
+      throw error;
+    }
+    saveCustomerImportJobCust(job);
+    return runCustomerImportJobCust(startTime);
+  }, busy);
+}
+
+/**
+ * Punto de entrada del activador de continuación: retoma la importación donde se detuvo o, si no hay
+ * ninguna en curso, sigue con los archivos de la cola que no entraron en el tiempo de la ejecución anterior.
+ */
+function continueCustomerImportJobCust() {
+  const executionStart = new Date().getTime();
+  withCustomerImportLockCust(1000, () => {
+    if (isCustomerImportJobActiveCust()) {
+      runCustomerImportJobCust(executionStart);
+    } else if (isCustomerImportQueuePendingCust()) {
+      processCustomerImportQueueCust(executionStart);
+    }
+  }, () => {
+    CustomLogger.log('Continuación de importación omitida: hay otra ejecución en curso');
+  });
+}
+
+/**
+ * Indica si queda tiempo de CUST_JOB_TIME_BUDGET_MS en la ejecución. El tiempo es uno solo para todos
+ * los archivos que se importen en la misma ejecución (programada o cola).
+ * @param {number} executionStart - El inicio de la ejecución, en milisegundos.
+ * @returns {boolean} - true si todavía hay tiempo para seguir procesando.
+ */
+function hasCustomerImportTimeLeftCust(executionStart) {
+  return new Date().getTime() - executionStart < CUST_JOB_TIME_BUDGET_MS;
+}
+
+/**
+ * Procesa lotes de la importación en curso hasta terminar el archivo o agotar el tiempo disponible,
+ * y después las tareas posteriores a la importación, que también cuentan dentro de ese tiempo.
+ * Antes de empezar programa un activador de continuación, de modo que la importación se retoma
+ * aunque la ejecución se interrumpa; cuando termina todo, el activador se elimina.
+ * @param {number} [executionStart] - El inicio de la ejecución, en milisegundos (por defecto, ahora).
+ * @returns {Object|null} - El estado de la importación, o null si no hay ninguna en curso.
+ */
+function runCustomerImportJobCust(executionStart) {
+  const job = getCustomerImportJobCust();
+  if (!job || !isCustomerImportJobActiveCust(job)) return job;
+
+  const startTime = executionStart || new Date().getTime();
+  scheduleCustomerImportContinuationCust();
+
+  try {
+    if (job.status !== CUST_JOB_STATUS_POST) {
+      if (!importCustomerJobChunksCust(job, startTime)) return job;
+    }
+
+    if (!runPostImportTasksCust(job, startTime)) {
+      CustomLogger.log(`Tareas posteriores a la importación de ${job.fileName} pausadas en ${job.postTask}`);
+      return job;
+    }
+    job.status     = CUST_JOB_STATUS_DONE;
+    job.finishedAt = new Date().toISOString();
+    saveCustomerImportJobCust(job);
+    removeCustomerImportContinuationCust();
+  } catch (error) {
+    CustomLogger.error('Error en runCustomerImportJobCust: ' + error.message);
+    logErrorCust(error);
+    job.status = CUST_JOB_STATUS_ERROR;
+    job.error  = error.message;
+    job.finishedAt = new Date().toISOString();
+    saveCustomerImportJobCust(job);
+    removeCustomerImportContinuationCust();
+    try {
+      recordImportInLedgerCust(DriveApp.getFileById(job.fileId), job.origin, CUST_OUTCOME_ERROR_PREFIX + error.message, job.counts, job.checksum);
+    } catch (ledgerError) {
+      CustomLogger.error('No se pudo registrar el error en el registro de importaciones: ' + ledgerError.message);
+    }
+  }
+
+  // Si el archivo es parte de una importación de varios archivos, se sigue con el próximo
+  try {
+    advanceCustomerImportQueueCust(job, startTime);
+  } catch (error) {
+    CustomLogger.error('Error al continuar la cola de importación: ' + error.message);
+    logErrorCust(error);
+  }
+
+  return job;
+}
+
+/**
+ * Importa los lotes pendientes del archivo hasta terminarlo o agotar el tiempo disponible. Si el archivo
+ * se completa, termina la importación (ver finishCustomerImportJobCust). Los CodCliente repetidos se
+ * resuelven sobre todo el archivo antes de dividirlo en lotes (ver dedupeCustomerEntriesCust).
+ * @param {Object} job - El estado de la importación.
+ * @param {number} startTime - El inicio de la ejecución, en milisegundos.
+ * @returns {boolean} - true si el archivo se completó; false si quedó esperando continuación.
+ */
+function importCustomerJobChunksCust(job, startTime) {
+  job.status = CUST_JOB_STATUS_RUNNING;
+  saveCustomerImportJobCust(job);
+
+  const file    = DriveApp.getFileById(job.fileId);
+  const entries = readCustomerEntriesCust(file);
+  const unique  = dedupeCustomerEntriesCust(entries); // job.offset avanza sobre esta lista
+  const sheet   = getCustomerSheetCust();
+  const importedAt = new Date(job.startedAt);
+  job.total = unique.length;
+
+  while (job.offset < unique.length && hasCustomerImportTimeLeftCust(startTime)) {
+    const chunk      = unique.slice(job.offset, job.offset + CUST_JOB_CHUNK_SIZE);
+    const validation = validateCustomerEntriesCust(chunk, job.offset);
+    const result     = importXMLFileDataCust(validation.validEntries);
+    logCustomerChangesCust(result.changes, importedAt, job.fileName);
+    recordCreditAlertsCust(result.updatedRows, importedAt, job.fileName);
+
+    job.offset            += chunk.length;
+    job.counts.records    += result.data.length;
+    job.counts.inserted   += result.inserted;
+    job.counts.updated    += result.updated;
+    job.counts.unchanged  += result.unchanged;
+    job.counts.invalid    += validation.invalidCount;
+    saveCustomerImportJobCust(job);
+  }
+
+  if (job.offset < unique.length) {
+    job.status = CUST_JOB_STATUS_WAITING;
+    saveCustomerImportJobCust(job);
+    CustomLogger.log(`Importación de ${job.fileName} pausada en ${job.offset} de ${job.total} registros`);
+    return false;
+  }
+
+  finishCustomerImportJobCust(job, file, entries, sheet);
+  return true;
+}
+
+/**
+ * Quita los registros válidos cuyo CodCliente se repite más adelante en el archivo con otro registro
+ * válido, de modo que prevalece el último aunque los dos queden en lotes distintos. Los registros
+ * con errores se conservan para que se cuenten como inválidos.
+ * @param {Array<Object>} entries - Todos los registros del archivo.
+ * @returns {Array<Object>} - Los registros a importar, en el orden del archivo.
+ */
+function dedupeCustomerEntriesCust(entries) {
+  const keys  = entries.map(entry => parseInt(entry.CodCliente, 10));
+  const valid = entries.map((entry, index) => validateCustomerEntryCust(entry, index + 1).length === 0);
+
+  const lastValid = new Map();
+  keys.forEach((key, index) => {
+    if (valid[index]) lastValid.set(key, index);
+  });
+  return entries.filter((entry, index) => !valid[index] || lastValid.get(keys[index]) === index);
+}
+
+/**
+ * Completa la importación: retira los clientes ausentes del archivo, resalta los duplicados,
+ * registra el archivo en el registro de importaciones y lo mueve a la subcarpeta de procesados.
+ * La importación queda en CUST_JOB_STATUS_POST hasta que se actualicen las hojas derivadas.
+ * @param {Object} job - El estado de la importación.
+ * @param {File} file - El archivo importado.
+ * @param {Array<Object>} entries - Todos los registros del archivo.
+ * @param {Sheet} sheet - La hoja de clientes.
+ */
+function finishCustomerImportJobCust(job, file, entries, sheet) {
+  // Se conservan también los clientes cuyos registros tuvieron errores
+  const keys = entries
+    .map(entry => parseInt(entry.CodCliente, 10))
+    .filter(key => !isNaN(key))
+    .map(String);
+
+  const retirement = retireMissingCustomersCust(sheet, keys);
+  logCustomerChangesCust(retirement.changes, new Date(job.startedAt), job.fileName);
+
+  const duplicates = findDuplicatesCust(keys.map(Number));
+  highlightDuplicatesCust(sheet, duplicates); // Resaltar duplicados en la columna A
+
+  job.counts.retired    = retirement.retired;
+  job.counts.duplicates = duplicates.length;
+  job.status   = CUST_JOB_STATUS_POST;
+  job.postTask = 0;
+  saveCustomerImportJobCust(job);
+
+  recordImportInLedgerCust(file, job.origin, CUST_OUTCOME_IMPORTED, job.counts, job.checksum);
+  CustomLogger.log(`Importación de ${job.fileName} completada: ${job.counts.records} registros`);
+
+  try {
+    moveToProcessedFolderCust(file.getId(), CUST_FOLDER_ID, CUST_PROCESSED_FOLDER_NAME);
+  } catch (error) {
+    CustomLogger.error('No se pudo mover el archivo a la carpeta de procesados: ' + error.message);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Actualiza las hojas que se generan a partir de la hoja de clientes. Un error en una tarea
+ * se registra sin afectar la importación, que ya está completa, ni las demás tareas.
+ * Las tareas se ejecutan mientras quede tiempo de CUST_JOB_TIME_BUDGET_MS; job.postTask guarda
+ * la próxima tarea, para que la continuación siga desde ahí.
+ * @param {Object} job - El estado de la importación completada.
+ * @param {number} startTime - El inicio de la ejecución, en milisegundos.
+ * @returns {boolean} - true si se ejecutaron todas las tareas; false si quedan para la continuación.
+ */
+function runPostImportTasksCust(job, startTime) {
+  const tasks = [
+    { name: CUST_RISK_SHEET_NAME, run: buildCreditRiskSheetCust },
+    { name: CUST_ALERTS_SHEET_NAME, run: sendCreditAlertDigestsCust },
+    { name: CUST_INACTIVE_SHEET_NAME, run: buildInactiveCustomersReportCust },
+    { name: CUST_DASHBOARD_SHEET_NAME, run: buildCustomerDashboardCust },
+    { name: CUST_DUPLICATES_SHEET_NAME, run: buildDuplicatesReviewSheetCust },
+    { name: CUST_INVALID_DOCS_SHEET_NAME, run: updateDocumentStatusColumnCust },
+    { name: CUST_ADDRESS_REVIEW_SHEET_NAME, run: updateNormalizedAddressesCust },
+    { name: CUST_USD_TITLE, run: updateCustomerUsdBalancesCust },
+    { name: CUST_FOLLOWUP_SHEET_NAME, run: updateFollowUpColumnsCust },
+    { name: CUST_FOLLOWUP_DUE_SHEET_NAME, run: buildDueFollowUpsSheetCust },
+    { name: CUST_VENDOR_INDEX_SHEET_NAME, run: buildVendorViewsCust }
+  ];
+
+  while (job.postTask < tasks.length) {
+    if (!hasCustomerImportTimeLeftCust(startTime)) return false;
+
+    const task = tasks[job.postTask];
+    try {
+      task.run(job);
+    } catch (error) {
+      CustomLogger.error(`Error al actualizar "${task.name}" tras importar ${job.fileName}: ${error.message}`);
+      logErrorCust(error);
+    }
+    job.postTask++;
+    saveCustomerImportJobCust(job);
+  }
+  return true;
+}
+
+/**
+ * Obtiene el estado de la última importación por lotes.
+ * @returns {Object|null} - El estado guardado, o null si nunca se inició una importación.
+ */
+function getCustomerImportJobCust() {
+  const value = PropertiesService.getScriptProperties().getProperty(CUST_JOB_PROPERTY);
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Guarda el estado de la importación por lotes.
+ * @param {Object} job - El estado de la importación.
+ */
+function saveCustomerImportJobCust(job) {
+  job.updatedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty(CUST_JOB_PROPERTY, JSON.stringify(job));
+}
+
+/**
+ * Indica si hay una importación por lotes sin terminar.
+ * @param {Object} [job] - El estado de la importación (por defecto, el guardado).
+ * @returns {boolean} - true si la importación está en curso, esperando continuación o actualizando las hojas derivadas.
+ */
+function isCustomerImportJobActiveCust(job) {
+  const current = job === undefined ? getCustomerImportJobCust() : job;
+  return !!current && [CUST_JOB_STATUS_RUNNING, CUST_JOB_STATUS_WAITING, CUST_JOB_STATUS_POST].indexOf(current.status) !== -1;
+}
+
+/**
+ * Reemplaza el activador de continuación por uno nuevo a CUST_JOB_RESUME_DELAY_MS.
+ */
+function scheduleCustomerImportContinuationCust() {
+  removeCustomerImportContinuationCust();
+  ScriptApp.newTrigger(CUST_JOB_RESUME_HANDLER).timeBased().after(CUST_JOB_RESUME_DELAY_MS).create();
+}
+
+/**
+ * Elimina los activadores de continuación de la importación por lotes.
+ */
+function removeCustomerImportContinuationCust() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === CUST_JOB_RESUME_HANDLER)
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Devuelve el avance de la importación para el panel lateral.
+ * @returns {Object|null} - El estado de la importación, o null si no hay ninguna registrada.
+ */
+function getCustomerImportProgressCust() {
+  return getCustomerImportJobCust();
+}
+
+/**
+ * Muestra el panel lateral con el avance de la importación por lotes.
+ */
+function showCustomerImportProgressCust() {
+  SpreadsheetApp.getUi().showSidebar(
+    HtmlService.createHtmlOutput(buildCustomerImportProgressHtmlCust()).setTitle('Progreso de Importación')
+  );
+}
+
+/**
+ * Genera el HTML del panel lateral de avance. El panel consulta el estado cada pocos segundos.
+ * @returns {string} - El contenido HTML.
+ */
+function buildCustomerImportProgressHtmlCust() {
+  return `
+    <style>
+      body { font-family: 'Roboto', sans-serif; color: #333; font-size: 13px; }
+      h3 { color: #1a73e8; margin-bottom: 5px; }
+      .file { font-style: italic; margin-bottom: 10px; word-break: break-all; }
+      .bar { background-color: #E7E8EE; border-radius: 4px; height: 18px; overflow: hidden; }
+      .fill { background-color: #1a73e8; height: 100%; width: 0; transition: width 0.5s; }
+      .status { font-weight: bold; margin: 8px 0; }
+      table { width: 100%; border-collapse: collapse; }
+      td { padding: 4px; border-bottom: 1px solid #ddd; }
+      td:last-child { text-align: right; font-weight: bold; }
+      .error { color: #B02B2B; }
+    </style>
+    <h3>Importación de Clientes</h3>
+    <div id="content">Cargando...</div>
+    <script>
+      function render(job) {
+        var content = document.getElementById('content');
+        if (!job) {
+          content.textContent = 'No hay importaciones registradas.';
+          return;
+        }
+        var percent = job.total > 0 ? Math.round(job.offset * 100 / job.total) : 0;
+        var rows = [
+          ['Registros procesados', job.offset + ' de ' + job.total],
+          ['Nuevos', job.counts.inserted],
+          ['Actualizados', job.counts.updated],
+          ['Sin cambios', job.counts.unchanged],
+          ['Con errores', job.counts.invalid],
+          ['Retirados', job.counts.retired]
+        ];
+        var file = document.createElement('div');
+        file.className = 'file';
+        file.textContent = job.fileName;
+        var html = '<div class="bar"><div class="fill" style="width:' + percent + '%"></div></div>' +
+          '<div class="status' + (job.error ? ' error' : '') + '">' + job.status + ' (' + percent + '%)</div><table>' +
+          rows.map(function(row) { return '<tr><td>' + row[0] + '</td><td>' + row[1] + '</td></tr>'; }).join('') +
+          '</table>';
+        content.innerHTML = html;
+        content.insertBefore(file, content.firstChild);
+        if (job.error) {
+          var error = document.createElement('p');
+          error.className = 'error';
+          error.textContent = job.error;
+          content.appendChild(error);
+        }
+      }
+      function refresh() {
+        google.script.run.withSuccessHandler(render).getCustomerImportProgressCust();
+      }
+      refresh();
+      setInterval(refresh, 3000);
+    </script>
+  `;
+}
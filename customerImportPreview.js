@@ -0,0 +1,306 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script genera la vista previa de una importación de cualquier perfil (ver importProfiles.js):
+ * compara el archivo con la hoja destino del perfil sin modificarla y deja que el usuario confirme o
+ * cancele la importación. Al confirmar, los clientes siguen con su importación por lotes y los demás
+ * perfiles se actualizan en una sola escritura.
+ */
+
+const CUST_PREVIEW_PROPERTY       = 'CUST_IMPORT_PREVIEW'; // Propiedad del usuario con el perfil y el archivo pendientes de confirmar
+const CUST_PREVIEW_SAMPLE_SIZE    = 10; // Ejemplos por sección de la vista previa
+const CUST_PREVIEW_REMOVED_RATIO  = 0.1; // Proporción de clientes retirados que se considera sospechosa (archivo truncado)
+
+/**
+ * Muestra el diálogo de vista previa de un archivo ya analizado y lo deja pendiente de confirmación.
+ * @param {Object} profile - El perfil de importación (ver getImportProfilesImp).
+ * @param {File} file - El archivo a importar.
+ * @param {Object} analysis - El resultado de analyzeProfileFileImp.
+ */
+function showImportPreviewCust(profile, file, analysis) {
+  const preview = buildImportPreviewCust(profile, file, analysis);
+
+  PropertiesService.getUserProperties().setProperty(CUST_PREVIEW_PROPERTY, JSON.stringify({
+    profileId: profile.id,
+    fileId: file.getId(),
+    modified: file.getLastUpdated().getTime()
+  }));
+
+  SpreadsheetApp.getUi().showModalDialog(
+    HtmlService.createHtmlOutput(buildImportPreviewHtmlCust(profile, preview))
+      .setWidth(850)
+      .setHeight(600),
+    `Vista Previa de Importación de ${profile.label}`
+  );
+}
+
+/**
+ * Compara los registros válidos del archivo con la hoja destino del perfil, sin escribir nada. Con la
+ * importación por lotes (los clientes) la hoja tiene además la columna de estado, y los registros que
+ * no están en el archivo se retiran.
+ * @param {Object} profile - El perfil de importación.
+ * @param {File} file - El archivo a importar.
+ * @param {Object} analysis - El resultado de analyzeProfileFileImp.
+ * @returns {Object} - { fileName, total, valid, invalid, activeCount, added, removed, changed, unchanged,
+ *                     fieldCounts, suspicious, warnings, errors }. added, removed y changed tienen
+ *                     { count, samples }; suspicious indica que se retiraría una proporción sospechosa
+ *                     de registros activos.
+ */
+function buildImportPreviewCust(profile, file, analysis) {
+  const schema      = profile.schema;
+  const statusIndex = profile.batchImport ? schema.length : -1;
+  const keyIndex    = schema.findIndex(field => field.tag === profile.keyTag);
+  const labelIndex  = schema.findIndex(field => field.tag === profile.labelTag);
+
+  const sheet    = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(profile.sheetName);
+  const lastRow  = sheet ? sheet.getLastRow() : 0;
+  const existing = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, schema.length + (statusIndex >= 0 ? 1 : 0)).getValues() : [];
+  const rowByKey = new Map();
+  existing.forEach(row => {
+    if (row[keyIndex] !== '') rowByKey.set(String(row[keyIndex]), row);
+  });
+
+  // Campo clave repetido en el archivo: prevalece el último registro, igual que al importar
+  const incoming = new Map();
+  analysis.validation.validEntries.forEach(entry => {
+    const row = schema.map(field => convertFieldValueCust(field, entry[field.tag]));
+    incoming.set(String(row[keyIndex]), statusIndex >= 0 ? row.concat([CUST_STATUS_ACTIVE]) : row);
+  });
+
+  const preview = {
+    fileName: file.getName(),
+    total: analysis.entries.length,
+    valid: analysis.validation.validEntries.length,
+    invalid: analysis.validation.invalidCount,
+    activeCount: existing.filter(row => row[keyIndex] !== '' && (statusIndex < 0 || row[statusIndex] !== CUST_STATUS_INACTIVE)).length,
+    added: { count: 0, samples: [] },
+    removed: { count: 0, samples: [] },
+    changed: { count: 0, samples: [] },
+    unchanged: 0,
+    fieldCounts: {},
+    warnings: [],
+    errors: analysis.validation.errors.slice(0, CUST_PREVIEW_SAMPLE_SIZE)
+  };
+
+  incoming.forEach((row, key) => {
+    const oldRow = rowByKey.get(key);
+    if (!oldRow) {
+      addPreviewSampleCust(preview.added, { key: row[keyIndex], label: labelIndex >= 0 ? row[labelIndex] : '' });
+      return;
+    }
+
+    const changes = diffCustomerRowsCust(oldRow, row, schema, keyIndex);
+    if (changes.length === 0) {
+      preview.unchanged++;
+      return;
+    }
+    preview.changed.count++;
+    changes.forEach(change => {
+      preview.fieldCounts[change.field] = (preview.fieldCounts[change.field] || 0) + 1;
+      if (preview.changed.samples.length < CUST_PREVIEW_SAMPLE_SIZE) {
+        preview.changed.samples.push(Object.assign({ label: labelIndex >= 0 ? row[labelIndex] : '' }, change));
+      }
+    });
+  });
+
+  // Igual que en finishCustomerImportJobCust, se conservan los registros con errores
+  if (statusIndex >= 0) {
+    const keyField = schema[keyIndex];
+    const fileKeys = new Set();
+    analysis.entries.forEach(entry => {
+      const key = convertFieldValueCust(keyField, entry[profile.keyTag]);
+      if (key !== '' && !(typeof key === 'number' && isNaN(key))) fileKeys.add(String(key));
+    });
+    existing.forEach(row => {
+      const status = row[statusIndex];
+      if (row[keyIndex] === '' || fileKeys.has(String(row[keyIndex]))) return;
+      if (CUST_RETIRE_MODE !== 'archive' && status === CUST_STATUS_INACTIVE) return;
+      addPreviewSampleCust(preview.removed, { key: row[keyIndex], label: labelIndex >= 0 ? row[labelIndex] : '', status: status });
+    });
+  }
+
+  const fields = analysis.fields;
+  preview.suspicious = preview.activeCount > 0 && preview.removed.count >= preview.activeCount * CUST_PREVIEW_REMOVED_RATIO;
+  if (fields.missingOptional.length > 0) {
+    preview.warnings.push(`Campos ausentes (quedarán vacíos): ${fields.missingOptional.join(', ')}.`);
+  }
+  if (fields.extra.length > 0) {
+    preview.warnings.push(`Campos no reconocidos (se ignorarán): ${fields.extra.join(', ')}.`);
+  }
+  if (preview.invalid > 0) {
+    preview.warnings.push(`${preview.invalid} registros tienen errores y no se importarán (ver hoja "${CUST_ERRORS_SHEET_NAME}").`);
+  }
+
+  return preview;
+}
+
+/**
+ * Suma un elemento a una sección de la vista previa, guardándolo como ejemplo si hay lugar.
+ * @param {Object} section - La sección ({ count, samples }).
+ * @param {Object} sample - El elemento.
+ */
+function addPreviewSampleCust(section, sample) {
+  section.count++;
+  if (section.samples.length < CUST_PREVIEW_SAMPLE_SIZE) section.samples.push(sample);
+}
+
+/**
+ * Confirma la importación pendiente de la vista previa. Se llama desde el diálogo. Los perfiles con
+ * importación por lotes la inician; los demás se importan en esta ejecución.
+ * @returns {Object} - { title, message } con el resultado de la importación.
+ */
+function commitImportPreviewCust() {
+  const properties = PropertiesService.getUserProperties();
+  const value      = properties.getProperty(CUST_PREVIEW_PROPERTY);
+  properties.deleteProperty(CUST_PREVIEW_PROPERTY);
+
+  try {
+    if (!value) {
+      return { title: 'Importación Cancelada', message: 'No hay ninguna importación pendiente de confirmar.' };
+    }
+
+    const pending = JSON.parse(value);
+    const profile = getImportProfileImp(pending.profileId || IMP_PROFILE_CUSTOMERS);
+    const file    = DriveApp.getFileById(pending.fileId);
+    if (file.getLastUpdated().getTime() !== pending.modified) {
+      return { title: 'Importación Cancelada', message: `"${file.getName()}" se modificó después de la vista previa. Vuelve a iniciar la importación.` };
+    }
+
+    if (profile.batchImport) {
+      if (isCustomerImportJobActiveCust()) {
+        return { title: 'Importación en Curso', message: 'Hay otra importación de clientes en curso. Espera a que termine para iniciar una nueva.' };
+      }
+      showCustomerImportProgressCust();
+      return describeCustomerImportResultCust(startCustomerImportJobCust(file, CUST_IMPORT_ORIGIN_MANUAL));
+    }
+
+    const startTime = new Date();
+    const counts    = importProfileFileImp(profile, file, analyzeProfileFileImp(profile, file));
+    const seconds   = (new Date() - startTime) / 1000;
+    return {
+      title: 'Importación Completada',
+      message: `Se procesaron ${counts.records} registros de ${profile.label}, con ${counts.invalid} registros omitidos por errores.\n\n` +
+        `Nuevos: ${counts.inserted}\n` +
+        `Actualizados: ${counts.updated}\n` +
+        `Sin cambios: ${counts.unchanged}\n\n` +
+        `Duración: ${seconds.toFixed(2)} segundos.`
+    };
+  } catch (error) {
+    console.error(error);
+    logErrorCust(error);
+    return { title: 'Error en la Importación', message: `Ha ocurrido un error: ${error.message}` };
+  }
+}
+
+/**
+ * Descarta la importación pendiente de la vista previa. Se llama desde el diálogo.
+ */
+function cancelImportPreviewCust() {
+  PropertiesService.getUserProperties().deleteProperty(CUST_PREVIEW_PROPERTY);
+}
+
+/**
+ * Genera el HTML del diálogo de vista previa.
+ * @param {Object} profile - El perfil de importación.
+ * @param {Object} preview - El resultado de buildImportPreviewCust.
+ * @returns {string} - El contenido HTML.
+ */
+function buildImportPreviewHtmlCust(profile, preview) {
+  const formatValue = value => value instanceof Date ? formatDate(value, 'dateTime') : escapeHtmlCust(value);
+  const fieldHeader = tag => {
+    const field = profile.schema.find(f => f.tag === tag);
+    return escapeHtmlCust(field ? field.header : tag);
+  };
+  const keyHeader   = fieldHeader(profile.keyTag);
+  const labelHeader = fieldHeader(profile.labelTag);
+  const table = (headers, rows) => rows.length === 0 ? '<p class="empty">Sin registros.</p>' : `
+      <table>
+        <tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr>
+        ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}
+      </table>`;
+  const more = section => section.count > section.samples.length
+    ? `<p class="empty">Se muestran ${section.samples.length} de ${section.count}.</p>`
+    : '';
+
+  const fieldCounts = Object.keys(preview.fieldCounts)
+    .sort((a, b) => preview.fieldCounts[b] - preview.fieldCounts[a])
+    .map(field => `${fieldHeader(field)}: ${preview.fieldCounts[field]}`)
+    .join(' · ');
+
+  return `
+    <style>
+      body { font-family: 'Roboto', sans-serif; color: #333; font-size: 13px; }
+      h3 { color: #1a73e8; margin: 15px 0 5px; }
+      .file { font-style: italic; margin-top: 0; }
+      .summary td { padding: 4px 10px 4px 0; border: none; }
+      .warning { background-color: #FFF4E5; border-left: 4px solid #F29900; padding: 6px 10px; margin: 5px 0; }
+      .warning.strong { background-color: #FCE8E6; border-left-color: #B02B2B; font-weight: bold; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 5px; text-align: left; border-bottom: 1px solid #ddd; }
+      th { background-color: #e6f2ff; color: #1a73e8; }
+      .empty { color: #777; font-style: italic; }
+      .actions { position: sticky; bottom: 0; background-color: #fff; padding: 10px 0; text-align: right; }
+      button { padding: 6px 16px; margin-left: 8px; cursor: pointer; }
+      #commit { background-color: #1a73e8; color: #fff; border: none; border-radius: 4px; }
+      #result { white-space: pre-wrap; }
+    </style>
+    <div id="preview">
+      <p class="file">${escapeHtmlCust(preview.fileName)} → hoja "${escapeHtmlCust(profile.sheetName)}"</p>
+      <table class="summary">
+        <tr><td>Registros en el archivo</td><td><b>${preview.total}</b></td><td>Válidos</td><td><b>${preview.valid}</b></td><td>Con errores</td><td><b>${preview.invalid}</b></td></tr>
+        <tr><td>Nuevos</td><td><b>${preview.added.count}</b></td><td>Con cambios</td><td><b>${preview.changed.count}</b></td>${profile.batchImport
+          ? `<td>A retirar</td><td><b>${preview.removed.count}</b></td>`
+          : `<td>Sin cambios</td><td><b>${preview.unchanged}</b></td>`}</tr>
+      </table>
+      ${preview.suspicious ? `<div class="warning strong">Se retirarán ${preview.removed.count} de ${preview.activeCount} registros activos.
+        Verifica que el archivo no esté incompleto antes de importarlo.</div>` : ''}
+      ${preview.warnings.map(warning => `<div class="warning">${escapeHtmlCust(warning)}</div>`).join('')}
+
+      <h3>Registros nuevos (${preview.added.count})</h3>
+      ${table([keyHeader, labelHeader], preview.added.samples.map(s => [formatValue(s.key), formatValue(s.label)]))}
+      ${more(preview.added)}
+
+      ${profile.batchImport ? `<h3>Registros a retirar (${preview.removed.count})</h3>
+      ${table([keyHeader, labelHeader, 'Estado Actual'], preview.removed.samples.map(s => [formatValue(s.key), formatValue(s.label), formatValue(s.status)]))}
+      ${more(preview.removed)}` : ''}
+
+      <h3>Registros con cambios (${preview.changed.count})</h3>
+      ${fieldCounts ? `<p>${fieldCounts}</p>` : ''}
+      ${table([keyHeader, labelHeader, 'Campo', 'Valor Anterior', 'Valor Nuevo'], preview.changed.samples.map(s =>
+        [formatValue(s.key), formatValue(s.label), fieldHeader(s.field), formatValue(s.oldValue), formatValue(s.newValue)]))}
+
+      <h3>Advertencias de validación (${preview.invalid} registros)</h3>
+      ${table(['Registro', keyHeader, 'Campo', 'Valor', 'Motivo'], preview.errors.map(e =>
+        [e.index, formatValue(e.key), fieldHeader(e.field), formatValue(e.raw), formatValue(e.reason)]))}
+    </div>
+    <h3 id="title"></h3>
+    <div id="result"></div>
+    <div class="actions">
+      <button id="cancel" onclick="cancel()">Cancelar</button>
+      <button id="commit" onclick="commit()">Importar ${preview.valid} registros</button>
+    </div>
+    <script>
+      function cancel() {
+        google.script.run.withSuccessHandler(function() { google.script.host.close(); }).cancelImportPreviewCust();
+      }
+      function commit() {
+        document.getElementById('commit').disabled = true;
+        document.getElementById('cancel').disabled = true;
+        document.getElementById('commit').textContent = 'Importando...';
+        google.script.run
+          .withSuccessHandler(showResult)
+          .withFailureHandler(function(error) { showResult({ title: 'Error en la Importación', message: error.message }); })
+          .commitImportPreviewCust();
+      }
+      function showResult(result) {
+        document.getElementById('preview').style.display = 'none';
+        document.getElementById('title').textContent = result.title;
+        document.getElementById('result').textContent = result.message;
+        document.getElementById('commit').style.display = 'none';
+        var close = document.getElementById('cancel');
+        close.textContent = 'Cerrar';
+        close.disabled = false;
+        close.onclick = function() { google.script.host.close(); };
+      }
+    </script>
+  `;
+}
@@ -0,0 +1,205 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script genera la hoja "Clientes Inactivos": agrupa a los clientes habilitados por días
+ * desde su última compra (FechaUltimaCompra), con el detalle por vendedor, zona y categoría,
+ * y resalta a los clientes que pasaron a un tramo peor desde la importación anterior.
+ */
+
+const CUST_INACTIVE_SHEET_NAME      = 'Clientes Inactivos'; // Nombre de la hoja del reporte
+const CUST_INACTIVITY_STATE_SHEET   = 'Tramos de Inactividad'; // Hoja oculta con el tramo de cada cliente en las últimas importaciones
+const CUST_INACTIVITY_NO_PURCHASE   = 'Sin compras'; // Tramo de los clientes sin fecha de última compra
+const CUST_INACTIVITY_WORSE_COLOR   = '#F4C7C3'; // Color de los clientes que empeoraron de tramo
+
+// Tramos por días desde la última compra, del mejor al peor
+const CUST_INACTIVITY_BUCKETS = [
+  { label: '0-30 días',       maxDays: 30 },
+  { label: '31-90 días',      maxDays: 90 },
+  { label: '91-180 días',     maxDays: 180 },
+  { label: 'Más de 180 días', maxDays: Infinity }
+];
+
+// Campos por los que se desglosan los tramos
+const CUST_INACTIVITY_BREAKDOWNS = ['Vendedor', 'Zona', 'CategoriaCliente'];
+
+/**
+ * Obtiene el tramo de inactividad de un cliente.
+ * @param {Date|string} lastPurchase - La fecha de última compra ('' si no tiene).
+ * @param {Date} today - La fecha de referencia.
+ * @returns {Object} - { label, days, rank }. rank ordena los tramos del mejor (0) al peor.
+ */
+function getInactivityBucketCust(lastPurchase, today) {
+  if (!(lastPurchase instanceof Date) || isNaN(lastPurchase.getTime())) {
+    return { label: CUST_INACTIVITY_NO_PURCHASE, days: '', rank: CUST_INACTIVITY_BUCKETS.length };
+  }
+
+  const days = Math.max(Math.floor((today - lastPurchase) / (24 * 60 * 60 * 1000)), 0);
+  const rank = CUST_INACTIVITY_BUCKETS.findIndex(bucket => days <= bucket.maxDays);
+  return { label: CUST_INACTIVITY_BUCKETS[rank].label, days: days, rank: rank };
+}
+
+/**
+ * Obtiene la posición de un tramo por su nombre.
+ * @param {string} label - El nombre del tramo.
+ * @returns {number} - La posición (ver getInactivityBucketCust), o -1 si no corresponde a ningún tramo.
+ */
+function getInactivityRankCust(label) {
+  if (label === CUST_INACTIVITY_NO_PURCHASE) return CUST_INACTIVITY_BUCKETS.length;
+  return CUST_INACTIVITY_BUCKETS.findIndex(bucket => bucket.label === label);
+}
+
+/**
+ * Lee el tramo de cada cliente guardado en las dos últimas importaciones.
+ * @returns {Map<string, Object>} - Por CodCliente: { previous, current } con el nombre de cada tramo.
+ */
+function readInactivityStateCust() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_INACTIVITY_STATE_SHEET);
+  const state = new Map();
+  if (!sheet || sheet.getLastRow() < 2) return state;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues().forEach(row => {
+    state.set(String(row[0]), { previous: String(row[1]), current: String(row[2]) });
+  });
+  return state;
+}
+
+/**
+ * Guarda el tramo de cada cliente en esta importación, junto con el de la importación anterior.
+ * @param {Array<Object>} rows - Las filas del reporte (ver buildInactiveCustomersReportCust).
+ * @param {Date} importedAt - La fecha de la importación.
+ */
+function saveInactivityStateCust(rows, importedAt) {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_INACTIVITY_STATE_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_INACTIVITY_STATE_SHEET);
+    sheet.hideSheet();
+  }
+
+  const values = [['Cód. Cliente', 'Tramo Anterior', 'Tramo Actual', 'Fecha Importación']]
+    .concat(rows.map(row => [row.customer.CodCliente, row.previous, row.bucket.label, importedAt]));
+  sheet.clearContents();
+  sheet.getRange(1, 1, values.length, 4).setValues(values);
+}
+
+/**
+ * Genera el reporte de clientes inactivos. Al ejecutarse tras una importación, el tramo anterior de
+ * cada cliente es el de la importación previa y se guardan los tramos nuevos; desde el menú se compara
+ * con la importación previa a la última, sin modificar los tramos guardados.
+ * @param {Object} [job] - El estado de la importación completada, si se ejecuta tras una importación.
+ * @returns {Object} - { customers, worsened } con la cantidad de clientes del reporte y de los que empeoraron.
+ */
+function buildInactiveCustomersReportCust(job) {
+  const today = job ? new Date(job.startedAt) : new Date();
+  const state = readInactivityStateCust();
+
+  const rows = getCustomerRecordsCust(true)
+    .filter(customer => customer.Habilitado === true)
+    .map(customer => {
+      const saved    = state.get(String(customer.CodCliente));
+      const previous = saved ? (job ? saved.current : saved.previous) : '';
+      const bucket   = getInactivityBucketCust(customer.FechaUltimaCompra, today);
+      const prevRank = previous === '' ? -1 : getInactivityRankCust(previous);
+      return { customer: customer, bucket: bucket, previous: previous, worsened: prevRank !== -1 && bucket.rank > prevRank };
+    })
+    .sort((a, b) => b.worsened - a.worsened || b.bucket.rank - a.bucket.rank || (b.bucket.days || 0) - (a.bucket.days || 0));
+
+  writeInactiveCustomersReportCust(rows, today);
+  if (job) saveInactivityStateCust(rows, today);
+
+  const worsened = rows.filter(row => row.worsened).length;
+  CustomLogger.log(`Clientes inactivos actualizado: ${rows.length} clientes, ${worsened} empeoraron de tramo`);
+  return { customers: rows.length, worsened: worsened };
+}
+
+/**
+ * Escribe el reporte: resumen por tramo, un cuadro por cada campo de CUST_INACTIVITY_BREAKDOWNS
+ * y el detalle de clientes, con los que empeoraron de tramo primero y resaltados.
+ * @param {Array<Object>} rows - Las filas del reporte: { customer, bucket, previous, worsened }.
+ * @param {Date} today - La fecha de referencia del reporte.
+ */
+function writeInactiveCustomersReportCust(rows, today) {
+  const ss     = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet  = ss.getSheetByName(CUST_INACTIVE_SHEET_NAME) || ss.insertSheet(CUST_INACTIVE_SHEET_NAME);
+  const labels = CUST_INACTIVITY_BUCKETS.map(bucket => bucket.label).concat([CUST_INACTIVITY_NO_PURCHASE]);
+  const width  = Math.max(labels.length + 2, 10);
+  const blocks = []; // { values, title, header, detail }: las filas de cada parte del reporte
+
+  const addBlock = (title, header, values, detail) => {
+    blocks.push({ values: [[title]], title: true });
+    blocks.push({ values: [header], header: true });
+    blocks.push({ values: values, detail: !!detail });
+    blocks.push({ values: [[]] });
+  };
+  const countRow = (name, subset) => [name]
+    .concat(labels.map(label => subset.filter(row => row.bucket.label === label).length))
+    .concat([subset.length]);
+
+  addBlock('Resumen por tramo', ['Tramo', 'Clientes', 'Empeoraron'], labels.map(label => {
+    const inBucket = rows.filter(row => row.bucket.label === label);
+    return [label, inBucket.length, inBucket.filter(row => row.worsened).length];
+  }));
+
+  CUST_INACTIVITY_BREAKDOWNS.forEach(tag => {
+    const header = CUST_SCHEMA[getCustomerColumnCust(tag) - 1].header;
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = String(row.customer[tag]).trim() || '(Sin asignar)';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    const values = Array.from(groups.keys()).sort().map(key => countRow(key, groups.get(key)));
+    values.push(countRow('Total', rows));
+    addBlock(`Por ${header}`, [header].concat(labels, ['Total']), values);
+  });
+
+  addBlock(
+    'Detalle de clientes',
+    ['Cód. Cliente', 'Razón Social', 'Vendedor', 'Zona', 'Categoría', 'Fecha Última Compra', 'Días', 'Tramo', 'Tramo Anterior', 'Empeoró'],
+    rows.map(row => [
+      row.customer.CodCliente, row.customer.RazonSocialdelCliente, row.customer.Vendedor, row.customer.Zona,
+      row.customer.CategoriaCliente, row.customer.FechaUltimaCompra, row.bucket.days, row.bucket.label,
+      row.previous, row.worsened ? 'Sí' : 'No'
+    ]),
+    true
+  );
+
+  sheet.clear();
+  sheet.getRange(1, 1).setValue(`Clientes habilitados por días desde la última compra - ${formatDate(today, 'dateTime')}`).setFontWeight('bold');
+
+  let rowNumber = 3;
+  blocks.forEach(block => {
+    const values = block.values.map(row => row.concat(Array(width - row.length).fill('')));
+    if (values.length > 0) {
+      sheet.getRange(rowNumber, 1, values.length, width).setValues(values);
+    }
+    if (block.title) sheet.getRange(rowNumber, 1).setFontWeight('bold').setFontSize(12);
+    if (block.header) sheet.getRange(rowNumber, 1, 1, width).setFontWeight('bold').setBackground('#e6f2ff');
+    if (block.detail && values.length > 0) {
+      // Los clientes que empeoraron están al principio del detalle
+      const worsened = rows.filter(row => row.worsened).length;
+      if (worsened > 0) sheet.getRange(rowNumber, 1, worsened, width).setBackground(CUST_INACTIVITY_WORSE_COLOR);
+      sheet.getRange(rowNumber, 6, values.length, 1).setNumberFormat('dd/mm/yyyy');
+    }
+    rowNumber += values.length;
+  });
+}
+
+/**
+ * Actualiza el reporte de clientes inactivos desde el menú y lo muestra.
+ */
+function updateInactiveCustomersReportCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = buildInactiveCustomersReportCust();
+    const ss     = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(CUST_INACTIVE_SHEET_NAME));
+    ui.alert(
+      'Clientes Inactivos',
+      `Se analizaron ${result.customers} clientes habilitados. ${result.worsened} pasaron a un tramo peor desde la importación anterior.`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudo generar el reporte de clientes inactivos: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script muestra el panel lateral "Buscar Cliente": búsqueda por código, razón social o número
+ * de documento mientras se escribe, y una ficha con los datos de contacto y domicilio, vendedor,
+ * lista de precios, condición de venta y la situación crediticia del cliente elegido.
+ */
+
+const CUST_LOOKUP_MAX_RESULTS = 15; // Cantidad máxima de coincidencias que muestra la búsqueda
+
+/**
+ * Muestra el panel lateral de búsqueda de clientes.
+ */
+function showCustomerLookupCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const index = getCustomerLookupIndexCust();
+    if (index.length === 0) {
+      ui.alert('Buscar Cliente', `No hay clientes en la hoja "${CUST_SHEET_NAME}".`, ui.ButtonSet.OK);
+      return;
+    }
+    ui.showSidebar(HtmlService.createHtmlOutput(buildCustomerLookupHtmlCust(index)).setTitle('Buscar Cliente'));
+  } catch (error) {
+    ui.alert('Error', `No se pudo abrir la búsqueda de clientes: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Arma el índice de búsqueda, que el panel filtra sin consultar la hoja en cada tecla.
+ * @returns {Array<Object>} - Un elemento por cliente: { code, name, doc, inactive }.
+ */
+function getCustomerLookupIndexCust() {
+  return getCustomerRecordsCust().map(customer => ({
+    code: String(customer.CodCliente),
+    name: String(customer.RazonSocialdelCliente),
+    doc: String(customer.NroDocumento),
+    inactive: customer.status !== CUST_STATUS_ACTIVE
+  }));
+}
+
+/**
+ * Busca un cliente de la hoja por CodCliente.
+ * @param {*} codCliente - El código del cliente.
+ * @returns {Object} - El cliente (ver getCustomerRecordsCust).
+ */
+function findCustomerRecordCust(codCliente) {
+  const customer = getCustomerRecordsCust().find(record => String(record.CodCliente) === String(codCliente));
+  if (!customer) throw new Error(`El cliente ${codCliente} ya no está en la hoja "${CUST_SHEET_NAME}".`);
+  return customer;
+}
+
+/**
+ * Arma la ficha de un cliente para el panel. Las fechas e importes se envían como texto.
+ * @param {*} codCliente - El código del cliente.
+ * @returns {Object} - { code, name, badges, sections, credit }: badges son { label, tone } con tone
+ *                     'ok', 'warn', 'bad' o 'muted'; sections son { title, items } con items [etiqueta, valor];
+ *                     credit tiene el crédito máximo, el detalle de la exposición y el porcentaje de uso.
+ */
+function getCustomerCardCust(codCliente) {
+  const customer = findCustomerRecordCust(codCliente);
+  const risk     = computeCustomerRiskCust(customer);
+  const sheet    = getCustomerSheetCust();
+
+  // Validación del documento y domicilio normalizado, escritos al terminar la importación
+  const derived  = sheet.getRange(customer.row, CUST_DOC_STATUS_COLUMN, 1, 1 + CUST_ADDRESS_HEADERS.length).getValues()[0];
+  const money    = value => '$ ' + Number(value || 0).toLocaleString('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const text     = value => value instanceof Date ? formatDate(value, 'dateTime') : String(value).trim();
+  const header   = tag => CUST_SCHEMA[getCustomerColumnCust(tag) - 1].header.replace(/^SF /, '');
+
+  const badges = [{ label: customer.Habilitado === true ? 'Habilitado' : 'Inhabilitado', tone: customer.Habilitado === true ? 'ok' : 'bad' }];
+  if (customer.SF_Moroso === true) badges.push({ label: 'Moroso', tone: 'bad' });
+  if (customer.SF_Engestionjudicial === true) badges.push({ label: 'En gestión judicial', tone: 'bad' });
+  if (customer.SF_Incobrable === true) badges.push({ label: 'Incobrable', tone: 'bad' });
+  if (customer.ControlaCredito === true) {
+    badges.push({ label: `Riesgo ${risk.tier.name}`, tone: risk.score >= CUST_RISK_TIERS[1].minScore ? 'bad' : risk.score > 0 ? 'warn' : 'ok' });
+  }
+  if (customer.status !== CUST_STATUS_ACTIVE) badges.push({ label: customer.status, tone: 'muted' });
+
+  const locality = [derived[2] || customer.Localidad, derived[3] || customer.CodPostal].map(text).filter(Boolean).join(' - ');
+  const sections = [
+    { title: 'Contacto y Domicilio', items: [
+      ['Documento', [customer.TipoDoc, customer.NroDocumento].map(text).filter(Boolean).join(' ')],
+      ['Validación', text(derived[0])],
+      ['Dirección', text(customer.Direccion)],
+      ['Localidad', locality],
+      ['Provincia', text(derived[1] || customer.Provincia)],
+      ['Zona', text(customer.Zona)],
+      ['País', text(customer.Pais)]
+    ] },
+    { title: 'Comercial', items: [
+      ['Vendedor', [customer.CodVendedor, customer.Vendedor].map(text).filter(Boolean).join(' - ')],
+      ['Lista de Precios', text(customer.ListadePrecios)],
+      ['Condición de Venta', text(customer.CondiciondeVentaPredeterminada)],
+      ['Tipo de Cliente', text(customer.TipodeCliente)],
+      ['Categoría', [customer.CategoriaCliente, customer.SubCategoriaCliente].map(text).filter(Boolean).join(' / ')],
+      ['Última Compra', customer.FechaUltimaCompra instanceof Date ? formatDate(customer.FechaUltimaCompra) : 'Sin compras']
+    ] }
+  ];
+
+  return {
+    code: String(customer.CodCliente),
+    name: text(customer.RazonSocialdelCliente),
+    badges: badges,
+    sections: sections.map(section => ({ title: section.title, items: section.items.filter(item => item[1] !== '') })),
+    credit: {
+      controls: customer.ControlaCredito === true,
+      creditMax: money(risk.creditMax),
+      items: CUST_EXPOSURE_FIELDS.map(tag => [header(tag), money(customer[tag])]),
+      exposure: money(risk.exposure),
+      usage: risk.usage,
+      reasons: risk.reasons,
+      updatedAt: text(customer.SF_FechadeActualizacion)
+    }
+  };
+}
+
+/**
+ * Activa la hoja de clientes y selecciona la fila del cliente. La fila se busca de nuevo porque
+ * puede haber cambiado desde que se abrió el panel.
+ * @param {*} codCliente - El código del cliente.
+ */
+function goToCustomerRowCust(codCliente) {
+  const customer = findCustomerRecordCust(codCliente);
+  const sheet    = getCustomerSheetCust();
+  sheet.activate();
+  sheet.getRange(customer.row, 1, 1, CUST_STATUS_COLUMN).activate();
+}
+
+/**
+ * Genera el HTML del panel de búsqueda. El índice se incluye en la página para filtrar
+ * mientras se escribe; la ficha se pide al elegir un cliente.
+ * @param {Array<Object>} index - El índice de búsqueda (ver getCustomerLookupIndexCust).
+ * @returns {string} - El contenido HTML.
+ */
+function buildCustomerLookupHtmlCust(index) {
+  // Se escapa "<" para que un nombre con "</script>" no cierre el bloque del script
+  const data = JSON.stringify(index).replace(/</g, '\\u003c');
+
+  return `
+    <style>
+      body { font-family: 'Roboto', sans-serif; color: #333; font-size: 13px; }
+      h3 { color: #1a73e8; margin: 10px 0 5px; }
+      h4 { color: #1a73e8; margin: 12px 0 4px; border-bottom: 1px solid #ddd; }
+      input { width: 100%; box-sizing: border-box; padding: 6px; font-size: 13px; }
+      #results div { padding: 5px; border-bottom: 1px solid #eee; cursor: pointer; }
+      #results div:hover, #results div.active { background-color: #e6f2ff; }
+      #results .inactive { color: #999; }
+      .code { font-weight: bold; }
+      .doc { color: #777; font-size: 11px; }
+      .badge { display: inline-block; padding: 2px 6px; margin: 2px 2px 0 0; border-radius: 10px; font-size: 11px; font-weight: bold; }
+      .ok { background-color: #D9EAD3; color: #274E13; }
+      .warn { background-color: #FCE8B2; color: #7F6000; }
+      .bad { background-color: #F4C7C3; color: #B02B2B; }
+      .muted { background-color: #E7E8EE; color: #555; }
+      table { width: 100%; border-collapse: collapse; }
+      td { padding: 3px 4px; vertical-align: top; }
+      td:first-child { color: #777; width: 40%; }
+      .amount { text-align: right; }
+      .total td { font-weight: bold; border-top: 1px solid #ddd; }
+      .bar { background-color: #E7E8EE; border-radius: 4px; height: 14px; overflow: hidden; margin-top: 6px; }
+      .fill { height: 100%; }
+      .note { color: #777; font-size: 11px; margin-top: 4px; }
+      button { margin-top: 12px; }
+      .error { color: #B02B2B; }
+    </style>
+    <input id="query" type="text" placeholder="Código, razón social o documento" autocomplete="off">
+    <div id="results"></div>
+    <div id="card"></div>
+    <script>
+      var customers = ${data};
+      var matches = [];
+      var active = -1;
+
+      function esc(value) {
+        var div = document.createElement('div');
+        div.textContent = value === null || value === undefined ? '' : String(value);
+        return div.innerHTML;
+      }
+      function normalize(value) {
+        return String(value).normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase();
+      }
+      customers.forEach(function(customer) {
+        customer.key = normalize(customer.name);
+        customer.digits = customer.doc.replace(/\\D/g, '');
+      });
+
+      function search() {
+        var query = normalize(document.getElementById('query').value.trim());
+        var digits = query.replace(/[\\s.\\-\\/]/g, '');
+        var results = document.getElementById('results');
+        active = -1;
+        if (query === '') {
+          matches = [];
+          results.innerHTML = '';
+          return;
+        }
+        // Primero las coincidencias exactas de código, después los códigos y nombres que empiezan con el texto
+        matches = customers
+          .map(function(customer) {
+            var rank = customer.code === query ? 0
+              : customer.code.indexOf(query) === 0 ? 1
+              : customer.key.indexOf(query) === 0 ? 2
+              : customer.key.indexOf(query) !== -1 ? 3
+              : /^\\d{3,}$/.test(digits) && customer.digits.indexOf(digits) !== -1 ? 4 : -1;
+            return { customer: customer, rank: rank };
+          })
+          .filter(function(match) { return match.rank !== -1; })
+          .sort(function(a, b) { return a.rank - b.rank || a.customer.name.localeCompare(b.customer.name); })
+          .slice(0, ${CUST_LOOKUP_MAX_RESULTS})
+          .map(function(match) { return match.customer; });
+
+        results.innerHTML = matches.length === 0 ? '<p>Sin coincidencias.</p>' : matches.map(function(customer, i) {
+          return '<div data-index="' + i + '"' + (customer.inactive ? ' class="inactive"' : '') + '>' +
+            '<span class="code">' + esc(customer.code) + '</span> ' + esc(customer.name) +
+            (customer.doc ? '<br><span class="doc">' + esc(customer.doc) + '</span>' : '') + '</div>';
+        }).join('');
+      }
+
+      function highlight() {
+        var items = document.querySelectorAll('#results div');
+        for (var i = 0; i < items.length; i++) items[i].className = (i === active ? 'active ' : '') + (matches[i].inactive ? 'inactive' : '');
+      }
+
+      function select(i) {
+        var customer = matches[i];
+        document.getElementById('results').innerHTML = '';
+        document.getElementById('query').value = customer.code + ' - ' + customer.name;
+        var card = document.getElementById('card');
+        card.className = '';
+        card.textContent = 'Cargando...';
+        google.script.run
+          .withSuccessHandler(renderCard)
+          .withFailureHandler(function(error) {
+            card.className = 'error';
+            card.textContent = error.message;
+          })
+          .getCustomerCardCust(customer.code);
+      }
+
+      function rows(items) {
+        return '<table>' + items.map(function(item) {
+          return '<tr><td>' + esc(item[0]) + '</td><td>' + esc(item[1]) + '</td></tr>';
+        }).join('') + '</table>';
+      }
+
+      function renderCard(card) {
+        var credit = card.credit;
+        var html = '<h3>' + esc(card.code) + ' - ' + esc(card.name) + '</h3><div>' +
+          card.badges.map(function(badge) { return '<span class="badge ' + badge.tone + '">' + esc(badge.label) + '</span>'; }).join('') +
+          '</div>';
+        card.sections.forEach(function(section) {
+          html += '<h4>' + esc(section.title) + '</h4>' + rows(section.items);
+        });
+
+        html += '<h4>Situación Crediticia</h4><table>' +
+          '<tr><td>Crédito Máximo</td><td class="amount">' + esc(credit.creditMax) + '</td></tr>' +
+          credit.items.map(function(item) {
+            return '<tr><td>' + esc(item[0]) + '</td><td class="amount">' + esc(item[1]) + '</td></tr>';
+          }).join('') +
+          '<tr class="total"><td>Exposición Total</td><td class="amount">' + esc(credit.exposure) + '</td></tr></table>';
+        if (credit.usage === null) {
+          html += '<p class="note">Sin crédito máximo asignado.</p>';
+        } else {
+          var percent = Math.round(credit.usage * 100);
+          var color = credit.usage >= 1 ? '#B02B2B' : credit.usage >= 0.8 ? '#F1C232' : '#6AA84F';
+          html += '<div class="bar"><div class="fill" style="width:' + Math.min(percent, 100) + '%;background-color:' + color + '"></div></div>' +
+            '<div class="note">' + percent + '% del crédito máximo utilizado</div>';
+        }
+        if (!credit.controls) html += '<p class="note">El cliente no controla crédito.</p>';
+        if (credit.reasons.length > 0) html += '<p class="note">Motivos de riesgo: ' + esc(credit.reasons.join(', ')) + '</p>';
+        if (credit.updatedAt) html += '<p class="note">Situación financiera al ' + esc(credit.updatedAt) + '</p>';
+
+        html += '<button id="goto">Ir a la fila en la hoja</button><div id="gotoResult" class="error"></div>';
+        var container = document.getElementById('card');
+        container.className = '';
+        container.innerHTML = html;
+        document.getElementById('goto').onclick = function() {
+          google.script.run
+            .withFailureHandler(function(error) { document.getElementById('gotoResult').textContent = error.message; })
+            .goToCustomerRowCust(card.code);
+        };
+      }
+
+      var query = document.getElementById('query');
+      var timer = null;
+      query.addEventListener('input', function() {
+        clearTimeout(timer);
+        timer = setTimeout(search, 150);
+      });
+      query.addEventListener('keydown', function(event) {
+        if (event.key === 'ArrowDown' && matches.length > 0) {
+          active = Math.min(active + 1, matches.length - 1);
+          highlight();
+          event.preventDefault();
+        } else if (event.key === 'ArrowUp' && matches.length > 0) {
+          active = Math.max(active - 1, 0);
+          highlight();
+          event.preventDefault();
+        } else if (event.key === 'Enter') {
+          // Si todavía no se buscó lo último que se escribió, se busca antes de elegir
+          clearTimeout(timer);
+          if (active === -1) search();
+          if (matches.length > 0) select(active === -1 ? 0 : active);
+        }
+      });
+      document.getElementById('results').addEventListener('click', function(event) {
+        var item = event.target.closest('[data-index]');
+        if (item) select(Number(item.getAttribute('data-index')));
+      });
+      query.focus();
+    </script>
+  `;
+}
@@ -0,0 +1,227 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script ejecuta la importación de Clientes de forma desatendida desde un activador
+ * por tiempo y mantiene el registro de los archivos ya procesados.
+ */
+
+const CUST_LEDGER_SHEET_NAME       = 'Registro de Importaciones'; // Nombre de la hoja del registro
+const CUST_LEDGER_HEADERS          = [
+  'ID Archivo', 'Nombre', 'Checksum MD5', 'Modificado', 'Procesado', 'Origen', 'Resultado',
+  'Registros', 'Nuevos', 'Actualizados', 'Sin Cambios', 'Retirados', 'Con Errores'
+];
+const CUST_IMPORT_ORIGIN_MANUAL    = 'Manual';
+const CUST_IMPORT_ORIGIN_SCHEDULED = 'Programada';
+const CUST_OUTCOME_IMPORTED        = 'Importado'; // Resultado de los archivos importados por completo
+const CUST_OUTCOME_ERROR_PREFIX    = 'Error: '; // Prefijo del resultado de los archivos que fallaron
+const CUST_SCHEDULE_HANDLER        = 'scheduledCustomerImportCust'; // Función que ejecuta el activador
+const CUST_SCHEDULE_HOURS          = 1; // Frecuencia del activador en horas
+
+/**
+ * Punto de entrada del activador por tiempo. Importa, del más antiguo al más reciente,
+ * los archivos de clientes de CUST_FOLDER_ID que no figuran en el registro de importaciones.
+ * Los archivos que fallaron se reintentan en cada ejecución y los rechazados cuando cambian; un
+ * contenido solo se omite por duplicado si otro archivo con el mismo checksum ya se importó.
+ * No usa la interfaz de usuario: los resultados quedan en el registro y los errores en "Error Log".
+ */
+function scheduledCustomerImportCust() {
+  withCustomerImportLockCust(1000, runScheduledCustomerImportCust, () => {
+    CustomLogger.log('Importación programada de clientes omitida: hay otra ejecución en curso');
+  });
+}
+
+/**
+ * Importa los archivos pendientes de la carpeta de clientes. Se ejecuta con el bloqueo del script
+ * (ver scheduledCustomerImportCust). Todos los archivos comparten el tiempo de la ejecución: cuando
+ * se agota, los archivos que faltan quedan para la próxima ejecución.
+ */
+function runScheduledCustomerImportCust() {
+  const executionStart = new Date().getTime();
+  try {
+    if (isCustomerImportJobActiveCust()) {
+      CustomLogger.log('Importación programada de clientes omitida: hay una importación por lotes en curso');
+      return;
+    }
+    if (isCustomerImportQueuePendingCust()) {
+      // La cola quedó con archivos pendientes sin una importación activa que la siga
+      CustomLogger.log('Importación programada de clientes omitida: se sigue con la cola de varios archivos pendiente');
+      processCustomerImportQueueCust(executionStart);
+      return;
+    }
+
+    const files = getProfileFilesImp(getImportProfileImp(IMP_PROFILE_CUSTOMERS)).reverse(); // Del más antiguo al más reciente
+    const ledger = readImportLedgerCust();
+
+    for (const file of files) {
+      if (!hasCustomerImportTimeLeftCust(executionStart)) {
+        CustomLogger.log('Importación programada de clientes: tiempo de ejecución agotado; los archivos restantes quedan para la próxima ejecución');
+        break;
+      }
+
+      const modified = Math.floor(file.getLastUpdated().getTime() / 1000);
+      if (ledger.some(entry => entry.fileId === file.getId() && entry.modified === modified &&
+          !entry.outcome.startsWith(CUST_OUTCOME_ERROR_PREFIX))) {
+        continue; // Ya procesado sin cambios desde entonces
+      }
+
+      const checksum = computeFileChecksumCust(file);
+      if (ledger.some(entry => entry.checksum === checksum && entry.outcome === CUST_OUTCOME_IMPORTED)) {
+        recordImportInLedgerCust(file, CUST_IMPORT_ORIGIN_SCHEDULED, 'Omitido: contenido ya procesado', null, checksum);
+        continue;
+      }
+
+      const rejected = importFileUnattendedCust(file, checksum, CUST_IMPORT_ORIGIN_SCHEDULED, executionStart);
+      ledger.push({ fileId: file.getId(), checksum: checksum, modified: modified, outcome: rejected || CUST_OUTCOME_IMPORTED });
+
+      // Si el archivo no terminó de importarse, el resto queda para la próxima ejecución
+      if (isCustomerImportJobActiveCust()) break;
+    }
+  } catch (error) {
+    CustomLogger.error('Error en scheduledCustomerImportCust: ' + error.message);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Importa un archivo sin interacción con el usuario y deja el resultado en el registro.
+ * @param {File} file - El archivo a importar (XML, CSV o XLSX).
+ * @param {string} checksum - El checksum MD5 del archivo.
+ * @param {string} [origin=CUST_IMPORT_ORIGIN_SCHEDULED] - El origen de la importación.
+ * @param {number} [executionStart] - El inicio de la ejecución, en milisegundos (ver startCustomerImportJobCust).
+ * @returns {string|null} - El motivo por el que el archivo no se importó, o null si la importación se inició.
+ */
+function importFileUnattendedCust(file, checksum, origin = CUST_IMPORT_ORIGIN_SCHEDULED, executionStart) {
+  const reject = outcome => {
+    recordImportInLedgerCust(file, origin, outcome, null, checksum);
+    return outcome;
+  };
+
+  try {
+    CustomLogger.log(`Importación ${origin.toLowerCase()} de ${file.getName()}`);
+    const analysis = analyzeCustomerFileCust(file);
+    writeImportErrorsCust(analysis.validation.errors, file.getName());
+
+    if (analysis.entries.length === 0) {
+      return reject('Rechazado: sin registros');
+    }
+    if (analysis.fields.missingRequired.length > 0) {
+      return reject('Rechazado: faltan campos obligatorios ' + analysis.fields.missingRequired.join(', '));
+    }
+    if (analysis.validation.validEntries.length === 0) {
+      return reject('Rechazado: ningún registro válido');
+    }
+
+    startCustomerImportJobCust(file, origin, checksum, executionStart);
+    return null;
+  } catch (error) {
+    CustomLogger.error('Error al importar ' + file.getName() + ': ' + error.message);
+    logErrorCust(error);
+    return reject(CUST_OUTCOME_ERROR_PREFIX + error.message);
+  }
+}
+
+/**
+ * Calcula el checksum MD5 del contenido de un archivo.
+ * @param {File} file - El archivo.
+ * @returns {string} - El checksum en hexadecimal.
+ */
+function computeFileChecksumCust(file) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, file.getBlob().getBytes());
+  return digest.map(byte => ('0' + (byte & 0xff).toString(16)).slice(-2)).join('');
+}
+
+/**
+ * Obtiene la hoja del registro de importaciones, creándola con sus encabezados si no existe.
+ * @returns {Sheet} - La hoja del registro.
+ */
+function getImportLedgerSheetCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_LEDGER_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_LEDGER_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUST_LEDGER_HEADERS.length).setValues([CUST_LEDGER_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Lee las entradas del registro de importaciones.
+ * @returns {Array<Object>} - Una entrada por fila: { fileId, checksum, modified, outcome } (modified en segundos).
+ */
+function readImportLedgerCust() {
+  const sheet = getImportLedgerSheetCust();
+  if (sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 7).getValues().map(row => ({
+    fileId: String(row[0]),
+    checksum: String(row[2]),
+    modified: row[3] instanceof Date ? Math.floor(row[3].getTime() / 1000) : null,
+    outcome: String(row[6])
+  }));
+}
+
+/**
+ * Agrega un archivo al registro de importaciones.
+ * @param {File} file - El archivo procesado.
+ * @param {string} origin - El origen de la importación.
+ * @param {string} outcome - El resultado del procesamiento.
+ * @param {Object|null} counts - Los contadores de la importación (ver startCustomerImportJobCust), o null si no se importó.
+ * @param {string} [checksum] - El checksum MD5 del archivo, si ya fue calculado.
+ */
+function recordImportInLedgerCust(file, origin, outcome, counts, checksum) {
+  const sheet = getImportLedgerSheetCust();
+  sheet.appendRow([
+    file.getId(),
+    file.getName(),
+    checksum || computeFileChecksumCust(file),
+    file.getLastUpdated(),
+    new Date(),
+    origin,
+    outcome,
+    counts ? counts.records : '',
+    counts ? counts.inserted : '',
+    counts ? counts.updated : '',
+    counts ? counts.unchanged : '',
+    counts ? counts.retired : '',
+    counts ? counts.invalid : ''
+  ]);
+}
+
+/**
+ * Crea el activador por tiempo de la importación programada, si no existe.
+ */
+function installCustomerImportTriggerCust() {
+  const ui = SpreadsheetApp.getUi();
+  const existing = ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === CUST_SCHEDULE_HANDLER);
+  if (existing.length > 0) {
+    ui.alert('Importación Automática', 'La importación automática ya está activada.', ui.ButtonSet.OK);
+    return;
+  }
+
+  ScriptApp.newTrigger(CUST_SCHEDULE_HANDLER).timeBased().everyHours(CUST_SCHEDULE_HOURS).create();
+  ui.alert('Importación Automática', `Se activó la importación automática cada ${CUST_SCHEDULE_HOURS} hora(s).`, ui.ButtonSet.OK);
+}
+
+/**
+ * Elimina los activadores de la importación programada.
+ */
+function removeCustomerImportTriggerCust() {
+  const ui = SpreadsheetApp.getUi();
+  const triggers = ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === CUST_SCHEDULE_HANDLER);
+  triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+
+  ui.alert(
+    'Importación Automática',
+    triggers.length > 0 ? 'Se desactivó la importación automática.' : 'La importación automática no estaba activada.',
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Muestra la hoja del registro de importaciones.
+ */
+function showImportLedgerCust() {
+  const sheet = getImportLedgerSheetCust();
+  SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+  sheet.setActiveRange(sheet.getRange(Math.max(sheet.getLastRow(), 1), 1));
+}
@@ -0,0 +1,270 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script guarda un respaldo de la hoja de Clientes antes de cada importación, en una hoja
+ * oculta, y permite deshacer la última importación o restaurar cualquiera de los últimos respaldos.
+ */
+
+const CUST_SNAPSHOT_INDEX_SHEET_NAME = 'Respaldos Clientes'; // Hoja oculta con el índice de respaldos
+const CUST_SNAPSHOT_INDEX_HEADERS    = ['Hoja', 'Fecha', 'Archivo', 'Origen', 'Filas', 'Filas Archivadas'];
+const CUST_SNAPSHOT_PREFIX           = 'Respaldo Clientes'; // Prefijo del nombre de las hojas de respaldo
+const CUST_SNAPSHOT_LIMIT            = 10; // Cantidad de respaldos que se conservan
+
+/**
+ * Copia la hoja de clientes a una hoja oculta y la registra en el índice de respaldos.
+ * Se eliminan los respaldos que exceden CUST_SNAPSHOT_LIMIT, empezando por los más antiguos.
+ * @param {string} fileName - El nombre del archivo que se va a importar.
+ * @param {string} origin - El origen de la importación.
+ * @returns {string|null} - El nombre de la hoja de respaldo, o null si todavía no existe la hoja de clientes.
+ */
+function createCustomerSnapshotCust(fileName, origin) {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CUST_SHEET_NAME);
+  if (!sheet) return null;
+
+  const createdAt = new Date();
+  const baseName  = `${CUST_SNAPSHOT_PREFIX} ${formatDate(createdAt, 'sheet')} ${formatDate(createdAt, 'time')}`;
+  let   name      = baseName;
+  for (let suffix = 2; ss.getSheetByName(name); suffix++) {
+    name = `${baseName} (${suffix})`;
+  }
+
+  const snapshot = sheet.copyTo(ss).setName(name);
+  snapshot.hideSheet();
+
+  const archiveSheet = ss.getSheetByName(CUST_ARCHIVE_SHEET_NAME);
+  getCustomerSnapshotIndexSheetCust().appendRow([
+    name,
+    createdAt,
+    fileName,
+    origin,
+    Math.max(sheet.getLastRow() - 1, 0),
+    archiveSheet ? archiveSheet.getLastRow() : 0
+  ]);
+
+  pruneCustomerSnapshotsCust();
+  CustomLogger.log(`Respaldo de clientes creado: ${name}`);
+  return name;
+}
+
+/**
+ * Obtiene la hoja oculta con el índice de respaldos, creándola si no existe.
+ * @returns {Sheet} - La hoja del índice.
+ */
+function getCustomerSnapshotIndexSheetCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_SNAPSHOT_INDEX_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CUST_SNAPSHOT_INDEX_SHEET_NAME);
+    sheet.getRange(1, 1, 1, CUST_SNAPSHOT_INDEX_HEADERS.length).setValues([CUST_SNAPSHOT_INDEX_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+/**
+ * Lee el índice de respaldos, del más reciente al más antiguo.
+ * Se omiten los respaldos cuya hoja fue eliminada a mano.
+ * @returns {Array<Object>} - Un respaldo por fila: { sheetName, createdAt, fileName, origin, rows, archivedRows, indexRow }.
+ */
+function readCustomerSnapshotsCust() {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getCustomerSnapshotIndexSheetCust();
+  if (sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_SNAPSHOT_INDEX_HEADERS.length).getValues()
+    .map((row, index) => ({
+      sheetName: String(row[0]),
+      createdAt: row[1],
+      fileName: row[2],
+      origin: row[3],
+      rows: row[4],
+      archivedRows: Number(row[5]) || 0,
+      indexRow: index + 2
+    }))
+    .filter(snapshot => ss.getSheetByName(snapshot.sheetName))
+    .reverse();
+}
+
+/**
+ * Elimina un respaldo: su hoja y su fila del índice.
+ * @param {Object} snapshot - El respaldo (ver readCustomerSnapshotsCust).
+ */
+function deleteCustomerSnapshotCust(snapshot) {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(snapshot.sheetName);
+  if (sheet) ss.deleteSheet(sheet);
+  getCustomerSnapshotIndexSheetCust().deleteRow(snapshot.indexRow);
+}
+
+/**
+ * Elimina los respaldos más antiguos que exceden CUST_SNAPSHOT_LIMIT.
+ */
+function pruneCustomerSnapshotsCust() {
+  // Los respaldos vienen del más reciente al más antiguo, así que se eliminan de abajo hacia arriba en el índice
+  readCustomerSnapshotsCust().slice(CUST_SNAPSHOT_LIMIT).forEach(deleteCustomerSnapshotCust);
+}
+
+/**
+ * Reemplaza la hoja de clientes por el contenido de un respaldo, incluidos los formatos y las
+ * columnas agregadas a mano. En el modo 'archive' también se quitan de la hoja de archivo las
+ * filas agregadas después del respaldo. La restauración se hace con el bloqueo de importación (ver
+ * withCustomerImportLockCust), para que ninguna importación escriba en la hoja mientras se reemplaza.
+ * @param {Object} snapshot - El respaldo (ver readCustomerSnapshotsCust).
+ * @param {boolean} [discard=false] - true para eliminar el respaldo después de restaurarlo, sin soltar el bloqueo.
+ * @throws {Error} Si hay una importación en curso o la hoja del respaldo no existe.
+ */
+function restoreCustomerSnapshotCust(snapshot, discard = false) {
+  const busy = () => {
+    throw new Error('Hay una importación de clientes en curso. Espera a que termine para restaurar un respaldo.');
+  };
+
+  withCustomerImportLockCust(CUST_JOB_LOCK_WAIT_MS, () => {
+    if (isCustomerImportJobActiveCust()) busy();
+    writeCustomerSnapshotCust(snapshot);
+    if (discard) deleteCustomerSnapshotCust(snapshot);
+  }, busy);
+}
+
+/**
+ * Copia el contenido de un respaldo sobre la hoja de clientes (ver restoreCustomerSnapshotCust).
+ * @param {Object} snapshot - El respaldo (ver readCustomerSnapshotsCust).
+ * @throws {Error} Si la hoja del respaldo no existe.
+ */
+function writeCustomerSnapshotCust(snapshot) {
+  const ss     = SpreadsheetApp.getActiveSpreadsheet();
+  const source = ss.getSheetByName(snapshot.sheetName);
+  if (!source) throw new Error(`No se encontró la hoja de respaldo "${snapshot.sheetName}".`);
+
+  const sheet = getCustomerSheetCust();
+  sheet.clear();
+  source.getDataRange().copyTo(sheet.getRange(1, 1));
+
+  const archiveSheet = ss.getSheetByName(CUST_ARCHIVE_SHEET_NAME);
+  if (archiveSheet && archiveSheet.getLastRow() > snapshot.archivedRows) {
+    archiveSheet.getRange(snapshot.archivedRows + 1, 1, archiveSheet.getLastRow() - snapshot.archivedRows, archiveSheet.getLastColumn())
+      .clearContent();
+  }
+
+  CustomLogger.log(`Hoja de clientes restaurada desde ${snapshot.sheetName}`);
+}
+
+/**
+ * Deshace la última importación restaurando el respaldo más reciente, que luego se descarta
+ * para que una nueva ejecución deshaga la importación anterior.
+ */
+function undoLastCustomerImportCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const snapshot = readCustomerSnapshotsCust()[0];
+    if (!snapshot) {
+      ui.alert('Deshacer Importación', 'No hay respaldos de importaciones anteriores.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const response = ui.alert(
+      'Deshacer Importación',
+      `Se restaurará la hoja "${CUST_SHEET_NAME}" al estado previo a la importación de ` +
+      `"${snapshot.fileName}" del ${formatDate(new Date(snapshot.createdAt), 'dateTime')} (${snapshot.rows} clientes).\n\n` +
+      'Los cambios posteriores a esa importación se perderán. ¿Deseas continuar?',
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) return;
+
+    restoreCustomerSnapshotCust(snapshot, true);
+    ui.alert('Deshacer Importación', `Se restauraron ${snapshot.rows} clientes.`, ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `No se pudo deshacer la importación: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Muestra el diálogo con los últimos respaldos para elegir cuál restaurar.
+ */
+function showCustomerSnapshotsCust() {
+  const ui        = SpreadsheetApp.getUi();
+  const snapshots = readCustomerSnapshotsCust();
+  if (snapshots.length === 0) {
+    ui.alert('Restaurar Respaldo', 'No hay respaldos de importaciones anteriores.', ui.ButtonSet.OK);
+    return;
+  }
+
+  ui.showModalDialog(
+    HtmlService.createHtmlOutput(buildCustomerSnapshotsHtmlCust(snapshots))
+      .setWidth(700)
+      .setHeight(450),
+    'Restaurar Respaldo de Clientes'
+  );
+}
+
+/**
+ * Restaura un respaldo elegido en el diálogo. El respaldo se conserva.
+ * @param {string} sheetName - El nombre de la hoja de respaldo.
+ * @returns {string} - El mensaje con el resultado.
+ */
+function restoreCustomerSnapshotByNameCust(sheetName) {
+  const snapshot = readCustomerSnapshotsCust().find(s => s.sheetName === sheetName);
+  if (!snapshot) throw new Error(`No se encontró el respaldo "${sheetName}".`);
+
+  try {
+    restoreCustomerSnapshotCust(snapshot);
+  } catch (error) {
+    logErrorCust(error);
+    throw error;
+  }
+  return `Se restauraron ${snapshot.rows} clientes desde el respaldo del ${formatDate(new Date(snapshot.createdAt), 'dateTime')}.`;
+}
+
+/**
+ * Genera el HTML del diálogo de respaldos.
+ * @param {Array<Object>} snapshots - Los respaldos (ver readCustomerSnapshotsCust).
+ * @returns {string} - El contenido HTML.
+ */
+function buildCustomerSnapshotsHtmlCust(snapshots) {
+  const rows = snapshots.map(snapshot => `
+      <tr>
+        <td>${formatDate(new Date(snapshot.createdAt), 'dateTime')}</td>
+        <td>${escapeHtmlCust(snapshot.fileName)}</td>
+        <td>${escapeHtmlCust(snapshot.origin)}</td>
+        <td class="number">${escapeHtmlCust(snapshot.rows)}</td>
+        <td><button data-sheet="${escapeHtmlCust(snapshot.sheetName)}" onclick="restore(this)">Restaurar</button></td>
+      </tr>`).join('');
+
+  return `
+    <style>
+      body { font-family: 'Roboto', sans-serif; color: #333; font-size: 13px; }
+      p { font-style: italic; }
+      table { width: 100%; border-collapse: collapse; }
+      th, td { padding: 6px; text-align: left; border-bottom: 1px solid #ddd; }
+      th { background-color: #e6f2ff; color: #1a73e8; }
+      .number { text-align: right; }
+      #result { font-weight: bold; margin-top: 10px; }
+      .error { color: #B02B2B; }
+    </style>
+    <p>Cada respaldo tiene la hoja "${escapeHtmlCust(CUST_SHEET_NAME)}" tal como estaba antes de importar el archivo indicado.</p>
+    <table>
+      <tr><th>Fecha</th><th>Archivo Importado</th><th>Origen</th><th class="number">Clientes</th><th></th></tr>
+      ${rows}
+    </table>
+    <div id="result"></div>
+    <script>
+      function restore(button) {
+        if (!confirm('Se reemplazará el contenido actual de la hoja de clientes. ¿Deseas continuar?')) return;
+        var buttons = document.getElementsByTagName('button');
+        for (var i = 0; i < buttons.length; i++) buttons[i].disabled = true;
+        var result = document.getElementById('result');
+        result.className = '';
+        result.textContent = 'Restaurando...';
+        google.script.run
+          .withSuccessHandler(function(message) { result.textContent = message; })
+          .withFailureHandler(function(error) {
+            result.className = 'error';
+            result.textContent = error.message;
+            for (var i = 0; i < buttons.length; i++) buttons[i].disabled = false;
+          })
+          .restoreCustomerSnapshotByNameCust(button.getAttribute('data-sheet'));
+      }
+    </script>
+  `;
+}
@@ -0,0 +1,208 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script agrega a la hoja de clientes el equivalente en dólares del crédito máximo, el crédito
+ * vencido, el crédito a vencer y los saldos de cheques. La cotización es la del tipo de dólar elegido
+ * en la hoja "Dolar" a la fecha de la situación financiera (SF_FechadeActualizacion) o, si ese día no
+ * tiene cotización, la del día anterior más cercano. Se registra la cotización y la fecha usadas.
+ */
+
+const CUST_USD_TITLE    = 'Saldos en Dólares';
+const CUST_USD_PROPERTY = 'CUST_USD_RATE_TYPE'; // Propiedad con el tipo de dólar elegido; sin valor no se calculan los saldos
+
+// Tipos de dólar disponibles, con la columna de la hoja "Dolar" de la que se toma la cotización
+const CUST_USD_RATE_TYPES = {
+  oficial: { label: 'Dólar Oficial Venta', column: 'OFICIAL_VENTA' },
+  blue:    { label: 'Dólar Blue Venta',    column: 'BLUE_VENTA' },
+  mep:     { label: 'Dólar MEP Venta',     column: 'MEP_VENTA' }
+};
+
+// Campos que se convierten a dólares, en el orden de sus columnas
+const CUST_USD_FIELDS = ['SF_CreditoMaximo', 'SF_CreditoVencido', 'SF_CreditoaVencer', 'SF_ChequesenCartera', 'SF_ChequesRechazados'];
+
+/**
+ * Obtiene el tipo de dólar elegido para los saldos en dólares.
+ * @returns {string} - Una clave de CUST_USD_RATE_TYPES, o '' si los saldos en dólares están desactivados.
+ */
+function getCustomerUsdRateTypeCust() {
+  const type = PropertiesService.getScriptProperties().getProperty(CUST_USD_PROPERTY) || '';
+  return CUST_USD_RATE_TYPES[type] ? type : '';
+}
+
+/**
+ * Encabezados de las columnas de saldos en dólares.
+ * @param {string} type - El tipo de dólar (ver CUST_USD_RATE_TYPES).
+ * @returns {Array<string>} - Un encabezado por campo convertido, más la cotización y su fecha.
+ */
+function getCustomerUsdHeadersCust(type) {
+  return CUST_USD_FIELDS
+    .map(tag => 'USD ' + CUST_SCHEMA[getCustomerColumnCust(tag) - 1].header.replace(/^SF /, ''))
+    .concat([`Cotización (${CUST_USD_RATE_TYPES[type].label})`, 'Fecha Cotización']);
+}
+
+/**
+ * Obtiene la fecha (yyyy-mm-dd) de una fila de la hoja "Dolar". La fecha puede estar como fecha o
+ * como texto ("Lunes 14/10/2024" o "14/10/2024").
+ * @param {*} value - El valor de la columna de fecha.
+ * @returns {string} - La fecha, o '' si no se reconoce.
+ */
+function parseDollarSheetDateCust(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : formatDate(value, 'sheet');
+
+  const match = String(value).match(/(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (!match) return '';
+  return `${match[3]}-${('0' + match[2]).slice(-2)}-${('0' + match[1]).slice(-2)}`;
+}
+
+/**
+ * Lee las cotizaciones de un tipo de dólar de la hoja "Dolar".
+ * @param {string} type - El tipo de dólar (ver CUST_USD_RATE_TYPES).
+ * @returns {Array<Object>} - Las cotizaciones { date, rate } ordenadas por fecha (yyyy-mm-dd), una por día.
+ */
+function readDollarRatesCust(type) {
+  const sheet = getSheet();
+  if (!sheet) throw new Error(`No se encontró la hoja "${Config.SHEET_NAME}".`);
+  if (sheet.getLastRow() < 2) return [];
+
+  const header = Config.COLUMN_NAMES[CUST_USD_RATE_TYPES[type].column];
+  const data   = sheet.getDataRange().getValues();
+  const column = data[0].map(value => String(value).trim()).indexOf(header);
+  if (column === -1) throw new Error(`La hoja "${Config.SHEET_NAME}" no tiene la columna "${header}".`);
+
+  const byDate = new Map();
+  data.slice(1).forEach(row => {
+    const date = parseDollarSheetDateCust(row[0]);
+    const rate = convertToNumber(row[column]);
+    if (date !== '' && !isNaN(rate) && rate > 0) byDate.set(date, rate);
+  });
+
+  return Array.from(byDate.keys()).sort().map(date => ({ date: date, rate: byDate.get(date) }));
+}
+
+/**
+ * Busca la cotización de una fecha o, si no la hay, la del día anterior más cercano.
+ * @param {Array<Object>} rates - Las cotizaciones ordenadas por fecha (ver readDollarRatesCust).
+ * @param {string} date - La fecha (yyyy-mm-dd).
+ * @returns {Object|null} - La cotización { date, rate }, o null si no hay cotizaciones hasta esa fecha.
+ */
+function findDollarRateCust(rates, date) {
+  let low   = 0;
+  let high  = rates.length - 1;
+  let found = null;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (rates[middle].date <= date) {
+      found = rates[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Calcula los saldos en dólares de todos los clientes de la hoja con el tipo de dólar elegido y los
+ * escribe a partir de la columna CUST_USD_COLUMN. Si los saldos en dólares están desactivados no hace nada.
+ * @returns {Object|null} - { type, converted, missing }: el tipo de dólar, la cantidad de clientes convertidos y
+ *                          la de clientes sin fecha de situación financiera o sin cotización; null si está desactivado.
+ */
+function updateCustomerUsdBalancesCust() {
+  const type = getCustomerUsdRateTypeCust();
+  if (type === '') return null;
+
+  const sheetCust = getCustomerSheetCust();
+  const customers = getCustomerRecordsCust();
+  const lastRow   = sheetCust.getLastRow();
+  const headers   = getCustomerUsdHeadersCust(type);
+  const rates     = readDollarRatesCust(type);
+
+  sheetCust.getRange(1, CUST_USD_COLUMN, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  let converted = 0;
+  if (lastRow >= 2) {
+    // Las filas sin CodCliente, sin fecha de situación financiera o sin cotización quedan vacías
+    const values = Array.from({ length: lastRow - 1 }, () => Array(headers.length).fill(''));
+    customers.forEach(customer => {
+      const updatedAt = customer.SF_FechadeActualizacion;
+      if (!(updatedAt instanceof Date) || isNaN(updatedAt.getTime())) return;
+      const rate = findDollarRateCust(rates, formatDate(updatedAt, 'sheet'));
+      if (!rate) return;
+
+      const parts = rate.date.split('-').map(Number);
+      values[customer.row - 2] = CUST_USD_FIELDS
+        .map(tag => Math.round((Number(customer[tag]) || 0) / rate.rate * 100) / 100)
+        .concat([rate.rate, new Date(parts[0], parts[1] - 1, parts[2])]);
+      converted++;
+    });
+
+    const batch = createSheetsBatch('Clientes: saldos en dólares');
+    batch.setNumberFormats(sheetCust, 2, values.length, CUST_USD_COLUMN,
+      CUST_USD_FIELDS.map(() => CUST_TYPE_FORMATS.money).concat([CUST_TYPE_FORMATS.money, 'dd/mm/yyyy']));
+    batch.setValues(sheetCust, 2, CUST_USD_COLUMN, values);
+    batch.commit();
+  }
+
+  const missing = customers.length - converted;
+  CustomLogger.log(`Saldos en dólares actualizados (${CUST_USD_RATE_TYPES[type].label}): ${converted} clientes, ${missing} sin cotización`);
+  return { type: type, converted: converted, missing: missing };
+}
+
+/**
+ * Elige el tipo de dólar de los saldos en dólares y los recalcula.
+ * @param {string} type - El tipo de dólar (ver CUST_USD_RATE_TYPES).
+ */
+function setCustomerUsdRateTypeCust(type) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    PropertiesService.getScriptProperties().setProperty(CUST_USD_PROPERTY, type);
+    const result = updateCustomerUsdBalancesCust();
+    ui.alert(
+      CUST_USD_TITLE,
+      `Los saldos en dólares se calculan con el ${CUST_USD_RATE_TYPES[type].label} y se actualizan en cada importación. ` +
+      `Se convirtieron ${result.converted} clientes; ${result.missing} no tienen fecha de situación financiera o cotización a esa fecha.`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudieron calcular los saldos en dólares: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Usa el dólar oficial (venta) para los saldos en dólares.
+ */
+function useOfficialDollarCust() {
+  setCustomerUsdRateTypeCust('oficial');
+}
+
+/**
+ * Usa el dólar blue (venta) para los saldos en dólares.
+ */
+function useBlueDollarCust() {
+  setCustomerUsdRateTypeCust('blue');
+}
+
+/**
+ * Usa el dólar MEP (venta) para los saldos en dólares.
+ */
+function useMepDollarCust() {
+  setCustomerUsdRateTypeCust('mep');
+}
+
+/**
+ * Desactiva los saldos en dólares y borra sus columnas de la hoja de clientes.
+ */
+function disableCustomerUsdBalancesCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const type = getCustomerUsdRateTypeCust();
+    PropertiesService.getScriptProperties().deleteProperty(CUST_USD_PROPERTY);
+    if (type !== '') {
+      const sheetCust = getCustomerSheetCust();
+      sheetCust.getRange(1, CUST_USD_COLUMN, sheetCust.getMaxRows(), getCustomerUsdHeadersCust(type).length).clearContent();
+    }
+    ui.alert(CUST_USD_TITLE, 'Los saldos en dólares se desactivaron.', ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert('Error', `No se pudieron desactivar los saldos en dólares: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script valida cada registro de una importación de Clientes contra el esquema
+ * y genera el reporte de errores en la hoja "Errores de Importación".
+ */
+
+const CUST_ERRORS_SHEET_NAME = 'Errores de Importación'; // Nombre de la hoja de errores
+const CUST_ERRORS_HEADERS    = ['Registro', 'CodCliente', 'Campo', 'Valor', 'Motivo'];
+
+/**
+ * Validadores por tipo de campo. Reciben el texto del registro sin espacios al inicio ni al final.
+ * Cada validador devuelve el motivo del error, o null si el valor es válido.
+ */
+const CUST_TYPE_VALIDATORS = {
+  int: text => /^-?\d+$/.test(text) ? null : 'No es un número entero',
+  string: () => null,
+  document: () => null, // El dígito verificador se controla después de importar, ver validateTaxDocumentCust
+  boolean: text => /^(verdadero|falso)$/i.test(text) ? null : 'No es "Verdadero" ni "Falso"',
+  date: text => {
+    const date = CUST_TYPE_CONVERTERS.date(text);
+    return date instanceof Date && !isNaN(date.getTime()) ? null : 'No es una fecha válida';
+  },
+  money: text => isNaN(CUST_TYPE_CONVERTERS.money(text)) ? 'No es un importe válido' : null
+};
+
+/**
+ * Valida todos los registros del archivo contra los tipos y campos obligatorios del esquema.
+ * @param {Array<Object>} entries - Los registros del archivo (ver readCustomerEntriesCust).
+ * @param {number} [startIndex=0] - Cantidad de registros anteriores en el archivo, cuando se valida un lote.
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @param {string} [keyTag='CodCliente'] - El campo clave, que se informa en cada error.
+ * @returns {Object} - { validEntries, errors, invalidCount }. Cada error tiene
+ *                     { index, key, field, raw, reason }.
+ */
+function validateCustomerEntriesCust(entries, startIndex = 0, schema = CUST_SCHEMA, keyTag = 'CodCliente') {
+  const validEntries = [];
+  const errors       = [];
+
+  entries.forEach((entry, position) => {
+    const recordErrors = validateCustomerEntryCust(entry, startIndex + position + 1, schema, keyTag);
+    if (recordErrors.length === 0) {
+      validEntries.push(entry);
+    } else {
+      errors.push(...recordErrors);
+    }
+  });
+
+  return {
+    validEntries: validEntries,
+    errors: errors,
+    invalidCount: entries.length - validEntries.length
+  };
+}
+
+/**
+ * Valida un registro del archivo.
+ * @param {Object} entry - El registro, con el texto de cada campo por nombre.
+ * @param {number} index - La posición del registro en el archivo (base 1).
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @param {string} [keyTag='CodCliente'] - El campo clave.
+ * @returns {Array<Object>} - Los errores encontrados en el registro.
+ */
+function validateCustomerEntryCust(entry, index, schema = CUST_SCHEMA, keyTag = 'CodCliente') {
+  const key    = entry[keyTag] || '';
+  const errors = [];
+
+  schema.forEach(field => {
+    const raw  = entry[field.tag] === undefined ? null : entry[field.tag];
+    const text = raw === null ? '' : raw.trim();
+
+    if (text === '') {
+      if (field.required) {
+        errors.push({ index, key, field: field.tag, raw: raw === null ? '' : raw, reason: raw === null ? 'Campo obligatorio ausente' : 'Campo obligatorio vacío' });
+      }
+      return;
+    }
+
+    const reason = CUST_TYPE_VALIDATORS[field.type](text);
+    if (reason) {
+      errors.push({ index, key, field: field.tag, raw, reason });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Escribe los errores de validación en la hoja de errores, reemplazando los de la importación anterior.
+ * @param {Array<Object>} errors - Los errores de validación.
+ * @param {string} fileName - El nombre del archivo validado.
+ * @param {string} [keyTag='CodCliente'] - El campo clave, que se usa como encabezado de la segunda columna.
+ */
+function writeImportErrorsCust(errors, fileName, keyTag = 'CodCliente') {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(CUST_ERRORS_SHEET_NAME);
+  if (!sheet) {
+    if (errors.length === 0) return; // No crear la hoja si no hay errores
+    sheet = ss.insertSheet(CUST_ERRORS_SHEET_NAME);
+  }
+
+  sheet.clearContents();
+  sheet.getRange(1, 1).setValue(`Archivo: ${fileName} - Validado el ${formatDate(new Date(), 'dateTime')} - ${errors.length} errores`);
+  const headers = CUST_ERRORS_HEADERS.map(header => header === 'CodCliente' ? keyTag : header);
+  sheet.getRange(2, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+
+  if (errors.length > 0) {
+    const rows = errors.map(error => [error.index, error.key, error.field, error.raw, error.reason]);
+    sheet.getRange(3, 1, rows.length, CUST_ERRORS_HEADERS.length).setValues(rows);
+  }
+}
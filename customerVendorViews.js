@@ -0,0 +1,339 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script genera una vista de clientes por vendedor (CodVendedor): un archivo aparte o una hoja en
+ * este libro, según CUST_VENDOR_VIEW_MODE, con los clientes activos del vendedor y su situación
+ * crediticia. Las columnas importadas quedan protegidas; solo la columna de observaciones es editable
+ * y se conserva al regenerar la vista. La hoja "Vistas por Vendedor" enlaza a todas las vistas.
+ * Los archivos de los vendedores se crean y escriben con los servicios avanzados de Drive y Sheets,
+ * que no requieren abrirlos con SpreadsheetApp (no permitido por @OnlyCurrentDoc).
+ */
+
+// 'spreadsheet' (un archivo por vendedor, compartido solo con su correo) o 'sheet' (una hoja por vendedor en
+// este libro). El modo 'sheet' NO restringe la visibilidad: quien puede abrir su vista puede abrir también la hoja
+// de clientes y las vistas de los demás vendedores; la protección solo impide editar. Usarlo solo si los vendedores
+// no tienen acceso al libro.
+const CUST_VENDOR_VIEW_MODE        = 'spreadsheet';
+const CUST_VENDOR_INDEX_SHEET_NAME = 'Vistas por Vendedor'; // Nombre de la hoja índice
+const CUST_VENDOR_INDEX_HEADERS    = ['Cód. Vendedor', 'Vendedor', 'Clientes', 'Vista', 'Tipo', 'ID', 'Actualizada'];
+const CUST_VENDOR_VIEW_NOTES       = 'Observaciones del Vendedor'; // Única columna editable de cada vista
+const CUST_VENDOR_VIEW_TYPES       = { sheet: 'Hoja', spreadsheet: 'Archivo' }; // Tipo de vista en la hoja índice
+
+/**
+ * Columnas de cada vista, en orden. value recibe el cliente (ver getCustomerRecordsCust) y su riesgo
+ * (ver computeCustomerRiskCust); format es un tipo de CUST_TYPE_FORMATS o un formato de número.
+ * La columna de observaciones se agrega al final.
+ */
+const CUST_VENDOR_VIEW_COLUMNS = [
+  { header: 'Cód. Cliente',       value: c => c.CodCliente },
+  { header: 'Razón Social',       value: c => c.RazonSocialdelCliente },
+  { header: 'Nro. Documento',     value: c => c.NroDocumento, format: '@' },
+  { header: 'Dirección',          value: c => c.Direccion },
+  { header: 'Localidad',          value: c => c.Localidad },
+  { header: 'Provincia',          value: c => c.Provincia },
+  { header: 'Lista de Precios',   value: c => c.ListadePrecios },
+  { header: 'Condición de Venta', value: c => c.CondiciondeVentaPredeterminada },
+  { header: 'Habilitado',         value: c => c.Habilitado === true ? 'Sí' : 'No' },
+  { header: 'Crédito Máximo',     value: (c, r) => r.creditMax, format: 'money' },
+  { header: 'Exposición Total',   value: (c, r) => r.exposure, format: 'money' },
+  { header: '% Utilizado',        value: (c, r) => r.usage === null ? '' : r.usage, format: '0.0%' },
+  { header: 'Crédito Vencido',    value: (c, r) => r.overdue, format: 'money' },
+  { header: 'Nivel de Riesgo',    value: (c, r) => c.ControlaCredito === true ? r.tier.name : 'No controla crédito' },
+  { header: 'Situación',          value: (c, r) => r.reasons.join(', ') },
+  { header: 'Última Compra',      value: c => c.FechaUltimaCompra, format: 'dd/mm/yyyy' }
+];
+
+/**
+ * Lee la hoja índice.
+ * @returns {Map<string, Object>} - Por código de vendedor: { codVendedor, vendedor, type, id }.
+ */
+function readVendorViewIndexCust() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_VENDOR_INDEX_SHEET_NAME);
+  const index = new Map();
+  if (!sheet || sheet.getLastRow() < 2) return index;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_VENDOR_INDEX_HEADERS.length).getValues().forEach(row => {
+    const code = String(row[0]).trim();
+    if (code !== '') index.set(code, { codVendedor: code, vendedor: String(row[1]), type: String(row[4]), id: String(row[5]) });
+  });
+  return index;
+}
+
+/**
+ * Nombre de la hoja o del archivo de la vista de un vendedor.
+ * @param {string} codVendedor - El código del vendedor.
+ * @param {string} vendedor - El nombre del vendedor.
+ * @returns {string} - El nombre de la vista.
+ */
+function getVendorViewNameCust(codVendedor, vendedor) {
+  // Los nombres de hoja no admiten algunos caracteres y tienen hasta 100 caracteres
+  const name = `Vendedor ${codVendedor}${vendedor ? ' - ' + vendedor : ''}`.replace(/[\[\]*?:\/\\']/g, ' ');
+  return CUST_VENDOR_VIEW_MODE === 'spreadsheet' ? `Clientes - ${name}` : name.slice(0, 100);
+}
+
+/**
+ * Obtiene la vista de un vendedor, creándola si no existe. En modo 'sheet' la vista es una hoja de
+ * este libro; en modo 'spreadsheet', un archivo que se comparte con el correo del vendedor de la hoja
+ * de vendedores.
+ * @param {Object} view - La vista: { codVendedor, vendedor, type, id } (type e id vacíos si es nueva).
+ * @param {Object} [vendor] - El vendedor de la hoja de vendedores (ver findVendorCust).
+ * @returns {Object} - { sheet, id, url } en modo 'sheet'; { spreadsheetId, id, url } en modo 'spreadsheet'.
+ */
+function getVendorViewSheetCust(view, vendor) {
+  const name = getVendorViewNameCust(view.codVendedor, view.vendedor);
+  const type = CUST_VENDOR_VIEW_TYPES[CUST_VENDOR_VIEW_MODE];
+
+  if (CUST_VENDOR_VIEW_MODE === 'spreadsheet') {
+    const id = getVendorViewFileCust(view.type === type ? view.id : '', name, vendor);
+    return { spreadsheetId: id, id: id, url: `https://docs.google.com/spreadsheets/d/${id}/edit` };
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = view.type === type ? ss.getSheets().find(candidate => String(candidate.getSheetId()) === view.id) : null;
+  if (!sheet) sheet = ss.getSheetByName(name) || ss.insertSheet(name);
+  if (sheet.getName() !== name && !ss.getSheetByName(name)) sheet.setName(name);
+  return { sheet: sheet, id: String(sheet.getSheetId()), url: `#gid=${sheet.getSheetId()}` };
+}
+
+/**
+ * Obtiene el archivo de la vista de un vendedor, creándolo con el servicio avanzado de Drive si no existe
+ * o si el guardado fue eliminado, y le pone el nombre de la vista.
+ * @param {string} id - El ID del archivo guardado en la hoja índice, o '' si no hay.
+ * @param {string} name - El nombre de la vista.
+ * @param {Object} [vendor] - El vendedor de la hoja de vendedores (ver findVendorCust).
+ * @returns {string} - El ID del archivo.
+ */
+function getVendorViewFileCust(id, name, vendor) {
+  if (id !== '') {
+    try {
+      const file = Drive.Files.get(id, { fields: 'id, name, trashed', supportsAllDrives: true });
+      if (!file.trashed) {
+        if (file.name !== name) Drive.Files.update({ name: name }, id, null, { supportsAllDrives: true });
+        return id;
+      }
+    } catch (error) {
+      CustomLogger.error(`No se pudo abrir la vista de ${name}, se crea de nuevo: ${error.message}`);
+    }
+  }
+
+  const created = Drive.Files.create({ name: name, mimeType: MimeType.GOOGLE_SHEETS }, null, { supportsAllDrives: true });
+  if (vendor && vendor.email !== '') {
+    Drive.Permissions.create(
+      { role: 'writer', type: 'user', emailAddress: vendor.email },
+      created.id,
+      { sendNotificationEmail: false, supportsAllDrives: true }
+    );
+  } else {
+    CustomLogger.log(`La vista ${name} no se compartió: el vendedor no tiene correo en la hoja de vendedores`);
+  }
+  return created.id;
+}
+
+/**
+ * Arma las filas de la vista de un vendedor, con la observación guardada de cada cliente al final.
+ * @param {Array<Object>} customers - Los clientes del vendedor.
+ * @param {Map<string, *>} notes - Las observaciones por CodCliente.
+ * @returns {Array<Array>} - Las filas, sin el encabezado.
+ */
+function buildVendorViewRowsCust(customers, notes) {
+  return customers.map(customer => {
+    const risk = computeCustomerRiskCust(customer);
+    return CUST_VENDOR_VIEW_COLUMNS.map(column => column.value(customer, risk))
+      .concat([notes.has(String(customer.CodCliente)) ? notes.get(String(customer.CodCliente)) : '']);
+  });
+}
+
+/**
+ * Escribe la vista de un vendedor según el tipo de vista (ver getVendorViewSheetCust).
+ * @param {Object} target - La vista: { sheet } o { spreadsheetId }.
+ * @param {string} title - El nombre de la vista, para la descripción de la protección.
+ * @param {Array<Object>} customers - Los clientes del vendedor.
+ */
+function writeVendorViewCust(target, title, customers) {
+  if (target.spreadsheetId) {
+    writeVendorViewFileCust(target.spreadsheetId, title, customers);
+  } else {
+    writeVendorViewSheetCust(target.sheet, title, customers);
+  }
+}
+
+/**
+ * Escribe la vista de un vendedor en una hoja de este libro y protege todas sus columnas salvo la de
+ * observaciones, que se conserva por CodCliente.
+ * @param {Sheet} sheet - La hoja de la vista.
+ * @param {string} title - El nombre de la vista, para la descripción de la protección.
+ * @param {Array<Object>} customers - Los clientes del vendedor.
+ */
+function writeVendorViewSheetCust(sheet, title, customers) {
+  const headers = CUST_VENDOR_VIEW_COLUMNS.map(column => column.header).concat([CUST_VENDOR_VIEW_NOTES]);
+  const width   = headers.length;
+
+  const notes = new Map();
+  if (sheet.getLastRow() >= 2 && sheet.getLastColumn() >= width) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, width).getValues().forEach(row => {
+      if (row[width - 1] !== '') notes.set(String(row[0]), row[width - 1]);
+    });
+  }
+
+  const rows = buildVendorViewRowsCust(customers, notes);
+
+  sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET).forEach(protection => protection.remove());
+  sheet.clear();
+  sheet.getRange(1, 1, 1, width).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, width).setValues(rows);
+    CUST_VENDOR_VIEW_COLUMNS.forEach((column, index) => {
+      if (column.format) sheet.getRange(2, index + 1, rows.length, 1).setNumberFormat(CUST_TYPE_FORMATS[column.format] || column.format);
+    });
+  }
+
+  // Solo el usuario que ejecuta la importación puede editar fuera de la columna de observaciones
+  const protection = sheet.protect().setDescription(`${title}: columnas importadas`);
+  protection.setUnprotectedRanges([sheet.getRange(2, width, sheet.getMaxRows() - 1, 1)]);
+  protection.addEditor(Session.getEffectiveUser());
+  protection.removeEditors(protection.getEditors().filter(editor => editor.getEmail() !== Session.getEffectiveUser().getEmail()));
+  if (protection.canDomainEdit()) protection.setDomainEdit(false);
+}
+
+/**
+ * Escribe la vista de un vendedor en la primera hoja de su archivo con el servicio avanzado de Sheets y
+ * protege todas sus columnas salvo la de observaciones, que se conserva por CodCliente.
+ * @param {string} spreadsheetId - El ID del archivo de la vista.
+ * @param {string} title - El nombre de la vista, para la descripción de la protección.
+ * @param {Array<Object>} customers - Los clientes del vendedor.
+ */
+function writeVendorViewFileCust(spreadsheetId, title, customers) {
+  const headers = CUST_VENDOR_VIEW_COLUMNS.map(column => column.header).concat([CUST_VENDOR_VIEW_NOTES]);
+  const width   = headers.length;
+
+  const info  = Sheets.Spreadsheets.get(spreadsheetId, {
+    fields: 'sheets(properties(sheetId,title,gridProperties(rowCount,columnCount)),protectedRanges(protectedRangeId))'
+  }).sheets[0];
+  const props = info.properties;
+  const range = `'${props.title.replace(/'/g, "''")}'`;
+
+  const notes = new Map();
+  (Sheets.Spreadsheets.Values.get(spreadsheetId, range).values || []).slice(1).forEach(row => {
+    if (row.length >= width && row[width - 1] !== '') notes.set(String(row[0]), row[width - 1]);
+  });
+
+  const rows    = buildVendorViewRowsCust(customers, notes);
+  const sheetId = props.sheetId;
+  const columns = (start, end) => ({ sheetId: sheetId, startRowIndex: 1, endRowIndex: rows.length + 1, startColumnIndex: start, endColumnIndex: end });
+  const requests = (info.protectedRanges || []).map(protection => ({ deleteProtectedRange: { protectedRangeId: protection.protectedRangeId } }));
+
+  requests.push(
+    { updateCells: { range: { sheetId: sheetId }, fields: 'userEnteredValue,userEnteredFormat' } },
+    { updateSheetProperties: {
+      properties: { sheetId: sheetId, gridProperties: {
+        rowCount: Math.max(props.gridProperties.rowCount, rows.length + 1),
+        columnCount: Math.max(props.gridProperties.columnCount, width),
+        frozenRowCount: 1
+      } },
+      fields: 'gridProperties(rowCount,columnCount,frozenRowCount)'
+    } },
+    { repeatCell: {
+      range: { sheetId: sheetId, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: width },
+      cell: { userEnteredFormat: { textFormat: { bold: true } } },
+      fields: 'userEnteredFormat.textFormat.bold'
+    } }
+  );
+  if (rows.length > 0) {
+    CUST_VENDOR_VIEW_COLUMNS.forEach((column, index) => {
+      const numberFormat = column.format && toSheetsNumberFormat(CUST_TYPE_FORMATS[column.format] || column.format);
+      if (!numberFormat) return;
+      requests.push({ repeatCell: {
+        range: columns(index, index + 1),
+        cell: { userEnteredFormat: { numberFormat: numberFormat } },
+        fields: 'userEnteredFormat.numberFormat'
+      } });
+    });
+  }
+  // Solo el usuario que ejecuta la importación puede editar fuera de la columna de observaciones
+  requests.push({ addProtectedRange: { protectedRange: {
+    range: { sheetId: sheetId },
+    description: `${title}: columnas importadas`,
+    unprotectedRanges: [{ sheetId: sheetId, startRowIndex: 1, startColumnIndex: width - 1, endColumnIndex: width }],
+    editors: { users: [Session.getEffectiveUser().getEmail()], domainUsersCanEdit: false }
+  } } });
+  Sheets.Spreadsheets.batchUpdate({ requests: requests }, spreadsheetId);
+
+  const values = [headers].concat(rows).map(row => row.map(toSheetsValue));
+  Sheets.Spreadsheets.Values.update({ values: values }, spreadsheetId, `${range}!A1`, { valueInputOption: 'USER_ENTERED' });
+}
+
+/**
+ * Genera o actualiza la vista de cada vendedor con sus clientes activos y la hoja índice. Los vendedores
+ * de la hoja índice que ya no tienen clientes activos conservan su vista, vacía.
+ * @returns {Object} - { vendors, customers, unassigned } con la cantidad de vistas, de clientes incluidos y
+ *                     de clientes activos sin código de vendedor.
+ */
+function buildVendorViewsCust() {
+  const index   = readVendorViewIndexCust();
+  const vendors = readVendorsCust();
+  const groups  = new Map();
+  let unassigned = 0;
+
+  getCustomerRecordsCust(true).forEach(customer => {
+    const code = String(customer.CodVendedor).trim();
+    if (code === '') {
+      unassigned++;
+      return;
+    }
+    if (!groups.has(code)) groups.set(code, { vendedor: String(customer.Vendedor).trim(), customers: [] });
+    groups.get(code).customers.push(customer);
+  });
+  index.forEach((view, code) => {
+    if (!groups.has(code)) groups.set(code, { vendedor: view.vendedor, customers: [] });
+  });
+
+  const updatedAt = new Date();
+  const codes     = Array.from(groups.keys()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const rows      = codes.map(code => {
+    const group  = groups.get(code);
+    const saved  = index.get(code) || { type: '', id: '' };
+    const view   = { codVendedor: code, vendedor: group.vendedor, type: saved.type, id: saved.id };
+    const target = getVendorViewSheetCust(view, findVendorCust(vendors, code, group.vendedor));
+    const name   = getVendorViewNameCust(code, group.vendedor);
+
+    writeVendorViewCust(target, name, group.customers);
+    const link = `=HYPERLINK("${target.url}", "${name.replace(/"/g, '""')}")`;
+    return [code, group.vendedor, group.customers.length, link, CUST_VENDOR_VIEW_TYPES[CUST_VENDOR_VIEW_MODE], target.id, updatedAt];
+  });
+
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CUST_VENDOR_INDEX_SHEET_NAME) || ss.insertSheet(CUST_VENDOR_INDEX_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1, 1, CUST_VENDOR_INDEX_HEADERS.length).setValues([CUST_VENDOR_INDEX_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 6, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, CUST_VENDOR_INDEX_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 7, rows.length, 1).setNumberFormat(CUST_TYPE_FORMATS.date);
+  }
+
+  const customers = rows.reduce((total, row) => total + row[2], 0);
+  CustomLogger.log(`Vistas por vendedor actualizadas: ${rows.length} vendedores, ${customers} clientes, ${unassigned} sin vendedor`);
+  return { vendors: rows.length, customers: customers, unassigned: unassigned };
+}
+
+/**
+ * Actualiza las vistas por vendedor desde el menú y muestra la hoja índice.
+ */
+function updateVendorViewsCust() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = buildVendorViewsCust();
+    const ss     = SpreadsheetApp.getActiveSpreadsheet();
+    ss.setActiveSheet(ss.getSheetByName(CUST_VENDOR_INDEX_SHEET_NAME));
+    ui.alert(
+      'Vistas por Vendedor',
+      `Se actualizaron las vistas de ${result.vendors} vendedores con ${result.customers} clientes activos.` +
+      (result.unassigned > 0 ? ` ${result.unassigned} clientes activos no tienen código de vendedor.` : ''),
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    ui.alert('Error', `No se pudieron generar las vistas por vendedor: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
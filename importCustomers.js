@@ -1,260 +1,605 @@
 /**
  * @OnlyCurrentDoc
- * Este script gestiona la importación de datos de Clientes desde archivos XML en Google Drive.
- * Incluye funciones para obtener archivos, procesar XML y manejar la interfaz de usuario.
+ * Este script gestiona la importación de datos de Clientes desde archivos XML, CSV o XLSX en Google Drive.
+ * Incluye funciones para obtener archivos, procesar los registros y manejar la interfaz de usuario.
  */
 
 const CUST_FOLDER_ID   = '1jFAEy1VhshwOkM2p9IHa0LwSEUEIEKGF2jm-nQxIV-c'; // ID de la carpeta de clientes en Drive
 const CUST_SHEET_NAME  = 'Clientes'; // Nombre de la hoja de clientes
+const CUST_FILE_EXTENSIONS = ['.xml', '.csv', '.xlsx']; // Formatos de archivo aceptados
+const CUST_RECORD_ELEMENT = 'DATO'; // Elemento de cada registro en los archivos XML del ERP
+const CUST_ARCHIVE_SHEET_NAME = 'Clientes Archivados'; // Hoja donde se mueven los clientes retirados
+const CUST_STATUS_HEADER = 'Estado Importación';
+const CUST_STATUS_ACTIVE = 'Activo';
+const CUST_STATUS_INACTIVE = 'Inactivo';
+const CUST_RETIRE_MODE = 'inactive'; // Clientes ausentes en el XML: 'inactive' (marcar) o 'archive' (mover a CUST_ARCHIVE_SHEET_NAME)
+const CUST_STATUS_ARCHIVED = 'Archivado';
 
 /**
- * Importa datos de clientes desde archivos XML en Google Drive.
+ * Esquema de importación: un elemento por columna de la hoja, en orden.
+ * - tag: nombre del elemento dentro de cada DATO del XML (o de la columna en CSV y XLSX).
+ * - header: encabezado de la columna en la hoja de clientes.
+ * - type: 'int', 'string', 'boolean', 'date' o 'money' (ver CUST_TYPE_CONVERTERS).
+ * - required: si el campo debe estar presente en el archivo.
+ * - format: formato de número de la columna (opcional, por defecto el de CUST_TYPE_FORMATS).
+ */
+const CUST_SCHEMA = [
+  { tag: 'CodCliente',                     header: 'Cód. Cliente',           type: 'int',     required: true },
+  { tag: 'RazonSocialdelCliente',          header: 'Razón Social',           type: 'string',  required: true },
+  { tag: 'TipoDoc',                        header: 'Tipo Doc.',              type: 'string',  required: false },
+  { tag: 'NroDocumento',                   header: 'Nro. Documento',         type: 'document', required: false },
+  { tag: 'Direccion',                      header: 'Dirección',              type: 'string',  required: false },
+  { tag: 'CodPostal',                      header: 'Cód. Postal',            type: 'string',  required: false },
+  { tag: 'Localidad',                      header: 'Localidad',              type: 'string',  required: false },
+  { tag: 'Zona',                           header: 'Zona',                   type: 'string',  required: false },
+  { tag: 'Provincia',                      header: 'Provincia',              type: 'string',  required: false },
+  { tag: 'Pais',                           header: 'País',                   type: 'string',  required: false },
+  { tag: 'TipodeCliente',                  header: 'Tipo de Cliente',        type: 'string',  required: false },
+  { tag: 'CategoriaCliente',               header: 'Categoría',              type: 'string',  required: false },
+  { tag: 'SubCategoriaCliente',            header: 'Subcategoría',           type: 'string',  required: false },
+  { tag: 'CodVendedor',                    header: 'Cód. Vendedor',          type: 'int',     required: false },
+  { tag: 'Vendedor',                       header: 'Vendedor',               type: 'string',  required: false },
+  { tag: 'ListadePrecios',                 header: 'Lista de Precios',       type: 'string',  required: false },
+  { tag: 'CondiciondeVentaPredeterminada', header: 'Condición de Venta',     type: 'string',  required: false },
+  { tag: 'SF_FechadeActualizacion',        header: 'SF Fecha Actualización', type: 'date',    required: false },
+  { tag: 'ControlaCredito',                header: 'Controla Crédito',       type: 'boolean', required: false },
+  { tag: 'SF_CreditoMaximo',               header: 'SF Crédito Máximo',      type: 'money',   required: false },
+  { tag: 'SF_PenddeFacturar',              header: 'SF Pend. de Facturar',   type: 'money',   required: false },
+  { tag: 'SF_ChequesenCartera',            header: 'SF Cheques en Cartera',  type: 'money',   required: false },
+  { tag: 'SF_ChequesRechazados',           header: 'SF Cheques Rechazados',  type: 'money',   required: false },
+  { tag: 'SF_CreditoaVencer',              header: 'SF Crédito a Vencer',    type: 'money',   required: false },
+  { tag: 'SF_CreditoVencido',              header: 'SF Crédito Vencido',     type: 'money',   required: false },
+  { tag: 'SF_Moroso',                      header: 'SF Moroso',              type: 'boolean', required: false },
+  { tag: 'SF_Engestionjudicial',           header: 'SF En Gestión Judicial', type: 'boolean', required: false },
+  { tag: 'SF_Incobrable',                  header: 'SF Incobrable',          type: 'boolean', required: false },
+  { tag: 'FechaUltimaCompra',              header: 'Fecha Última Compra',    type: 'date',    required: false, format: 'dd/mm/yyyy' },
+  { tag: 'FechaUltModificacion',           header: 'Fecha Últ. Modif.',      type: 'date',    required: false },
+  { tag: 'Habilitado',                     header: 'Habilitado',             type: 'boolean', required: false }
+];
+
+const CUST_FIELD_COUNT   = CUST_SCHEMA.length; // Cantidad de columnas importadas
+const CUST_STATUS_COLUMN = CUST_FIELD_COUNT + 1; // Columna con el estado del cliente en la importación
+const CUST_DOC_STATUS_COLUMN = CUST_STATUS_COLUMN + 1; // Columna con la validación del documento (ver customerDocuments.js)
+const CUST_DOC_STATUS_HEADER = 'Validación Documento';
+const CUST_ADDRESS_COLUMN = CUST_DOC_STATUS_COLUMN + 1; // Primera columna del domicilio normalizado (ver customerAddresses.js)
+const CUST_ADDRESS_HEADERS = ['Provincia Normalizada', 'Localidad Normalizada', 'Cód. Postal Normalizado', 'Validación Domicilio'];
+const CUST_USD_COLUMN = CUST_ADDRESS_COLUMN + CUST_ADDRESS_HEADERS.length; // Primera columna de los saldos en dólares (ver customerUsdBalances.js)
+
+/**
+ * Conversores por tipo de campo. Reciben el texto del registro (nunca null ni vacío).
+ */
+const CUST_TYPE_CONVERTERS = {
+  int: value => parseInt(value, 10),
+  string: value => value,
+  document: value => value.replace(/[\s.\-\/]/g, ''), // Sin guiones, puntos ni espacios: 20-12345678-6 → 20123456786
+  boolean: value => convertToBoolean(value),
+  date: value => convertToDateTime(value),
+  money: value => convertToNumber(value)
+};
+
+/**
+ * Formatos de número de la hoja por tipo de campo.
+ */
+const CUST_TYPE_FORMATS = {
+  int: '0',
+  string: '@',
+  document: '@',
+  boolean: 'General',
+  date: 'dd/mm/yyyy hh:mm:ss',
+  money: '#,##0.00;-#,##0.00'
+};
+
+/**
+ * Importa datos de clientes desde archivos XML, CSV o XLSX en Google Drive, con el perfil de
+ * importación de clientes (ver importProfiles.js).
  */
 function importCustomers() {
-  const ui    = SpreadsheetApp.getUi();
-  const files = getFilesFromFolderCust(CUST_FOLDER_ID, '.xml');
+  importWithProfileImp(IMP_PROFILE_CUSTOMERS);
+}
+
+/**
+ * Lee un archivo de clientes y lo analiza sin modificar la hoja de clientes.
+ * @param {File} file - El archivo XML, CSV o XLSX.
+ * @returns {Object} - { entries, fields, validation }: los registros del archivo, el resultado de
+ *                     inspectXMLFieldsCust y el de validateCustomerEntriesCust.
+ */
+function analyzeCustomerFileCust(file) {
+  return analyzeProfileFileImp(getImportProfileImp(IMP_PROFILE_CUSTOMERS), file);
+}
 
-  if (files.length === 0) {
-    ui.alert('Error', 'No se encontraron archivos XML en la carpeta especificada.', ui.ButtonSet.OK);
-    return;
+/**
+ * Describe el resultado de una importación por lotes para mostrarlo al usuario.
+ * @param {Object} job - El estado de la importación (ver startCustomerImportJobCust).
+ * @returns {Object} - { title, message }.
+ */
+function describeCustomerImportResultCust(job) {
+  if (job.status === CUST_JOB_STATUS_ERROR) {
+    return { title: 'Error en la Importación', message: `Ha ocurrido un error: ${job.error}` };
+  }
+  if (job.status === CUST_JOB_STATUS_POST) {
+    return {
+      title: 'Importación en Curso',
+      message: `Se importaron los ${job.total} registros. Las hojas derivadas (riesgo, reportes, vistas por vendedor) ` +
+        'se terminan de actualizar en segundo plano; el avance se muestra en el panel lateral.'
+    };
+  }
+  if (job.status !== CUST_JOB_STATUS_DONE) {
+    return {
+      title: 'Importación en Curso',
+      message: `Se procesaron ${job.offset} de ${job.total} registros. La importación continuará automáticamente ` +
+        'en segundo plano; el avance se muestra en el panel lateral.'
+    };
   }
 
-  const latestFile = getLatestFileCust(files);
-  const response   = ui.alert(
-    'Importar Datos de Clientes',
-    `El último archivo encontrado es:\n\n"${latestFile.getName()}" (modificado el ${latestFile.getLastUpdated().toLocaleString()}).\n\n¿Deseas importar este archivo?`,
-    ui.ButtonSet.YES_NO
-  );
+  const durationSeconds  = (new Date(job.finishedAt) - new Date(job.startedAt)) / 1000;
+  const durationMinutes  = Math.floor(durationSeconds / 60);
+  const remainingSeconds = durationSeconds % 60;
 
-  if (response === ui.Button.NO) {
-    const selectedFile = getFileFromUserCust(ui, files);
-    if (!selectedFile) return; // El usuario canceló la selección
-    prepareAndImportXMLFileCust(selectedFile, ui);
-  } else {
-    prepareAndImportXMLFileCust(latestFile, ui);
+  return {
+    title: 'Importación Completada',
+    message: `Se procesaron ${job.counts.records} registros, con ${job.counts.duplicates} registros duplicados ` +
+      `y ${job.counts.invalid} registros omitidos por errores.\n\n` +
+      `Nuevos: ${job.counts.inserted}\n` +
+      `Actualizados: ${job.counts.updated}\n` +
+      `Sin cambios: ${job.counts.unchanged}\n` +
+      `Retirados: ${job.counts.retired}\n\n` +
+      `Duración: ${durationMinutes} minutos y ${remainingSeconds.toFixed(2)} segundos.`
+  };
+}
+
+/**
+ * Obtiene la hoja de clientes, creándola si no existe.
+ * @returns {Sheet} - La hoja de clientes.
+ */
+function getCustomerSheetCust() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return ss.getSheetByName(CUST_SHEET_NAME) || ss.insertSheet(CUST_SHEET_NAME);
+}
+
+/**
+ * Lee los clientes de la hoja de clientes como objetos, con el valor de cada campo por tag.
+ * @param {boolean} [activeOnly=false] - true para omitir los clientes retirados (inactivos).
+ * @returns {Array<Object>} - Un objeto por cliente con los campos del esquema, status (el estado
+ *                            de importación) y row (el número de fila en la hoja).
+ */
+function getCustomerRecordsCust(activeOnly = false) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, CUST_STATUS_COLUMN).getValues()
+    .map((values, index) => Object.assign(customerRowToRecordCust(values), { row: index + 2 }))
+    .filter(record => record.CodCliente !== '' && (!activeOnly || record.status !== CUST_STATUS_INACTIVE));
+}
+
+/**
+ * Importa los registros del archivo a la hoja de cálculo actualizando por CodCliente.
+ * Las columnas y sus tipos se toman de CUST_SCHEMA.
+ * Los clientes existentes se actualizan en su fila y los nuevos se agregan al final.
+ * Las columnas posteriores a la de estado no se modifican (la validación de documentos, el domicilio
+ * normalizado, los saldos en dólares y el seguimiento se escriben al terminar la importación, ver
+ * updateDocumentStatusColumnCust, updateNormalizedAddressesCust, updateCustomerUsdBalancesCust y
+ * updateFollowUpColumnsCust).
+ * Los clientes que no figuran en el archivo se retiran por separado con
+ * retireMissingCustomersCust, una vez procesado el archivo completo.
+ * @param {Array<Object>} entries - Los registros del archivo (ver readCustomerEntriesCust).
+ * @returns {Object} - Los datos importados, los contadores de nuevos, actualizados y sin cambios,
+ *                     la lista de cambios por campo y las filas modificadas (ver upsertCustomerRowsCust).
+ */
+function importXMLFileDataCust(entries) {
+  const sheetCust = getCustomerSheetCust();
+  const data = buildCustomerRowsCust(entries);
+
+  if (data.length === 0) {
+    return { data: [], inserted: 0, updated: 0, unchanged: 0, changes: [], updatedRows: [] };
   }
+
+  return upsertCustomerRowsCust(sheetCust, data);
+}
+
+/**
+ * Convierte una fila de la hoja de clientes en un objeto con el valor de cada campo por tag.
+ * @param {Array} values - La fila (campos importados + estado).
+ * @returns {Object} - Los campos del esquema y status (el estado de importación).
+ */
+function customerRowToRecordCust(values) {
+  const record = { status: values[CUST_STATUS_COLUMN - 1] };
+  CUST_SCHEMA.forEach((field, column) => { record[field.tag] = values[column]; });
+  return record;
+}
+
+/**
+ * Convierte los registros del archivo en filas de la hoja de clientes, en el orden del esquema.
+ * @param {Array<Object>} entries - Los registros válidos del archivo.
+ * @returns {Array<Array>} - Una fila por registro, con los campos importados (sin la columna de estado).
+ */
+function buildCustomerRowsCust(entries) {
+  return entries.map(entry => CUST_SCHEMA.map(field => convertFieldValueCust(field, entry[field.tag])));
+}
+
+/**
+ * Convierte el texto de un campo del registro según el tipo definido en el esquema.
+ * @param {Object} field - La definición del campo en CUST_SCHEMA.
+ * @param {string|null} [text] - El texto del campo, o null/undefined si no está presente.
+ * @returns {*} - El valor convertido, o una cadena vacía si el campo no está presente o está vacío.
+ */
+function convertFieldValueCust(field, text) {
+  if (text === null || text === undefined || text.trim() === '') return '';
+  return CUST_TYPE_CONVERTERS[field.type](text);
+}
+
+/**
+ * Compara los campos presentes en los registros del archivo con el esquema de importación.
+ * El orden de los campos dentro de cada registro no importa.
+ * @param {Array<Object>} entries - Los registros del archivo.
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @returns {Object} - { missingRequired, missingOptional, extra } con los nombres de los campos.
+ */
+function inspectXMLFieldsCust(entries, schema = CUST_SCHEMA) {
+  const present = new Set();
+  entries.forEach(entry => Object.keys(entry).forEach(tag => present.add(tag)));
+
+  const known = new Set(schema.map(field => field.tag));
+  const missing = schema.filter(field => !present.has(field.tag));
+
+  return {
+    missingRequired: missing.filter(field => field.required).map(field => field.tag),
+    missingOptional: missing.filter(field => !field.required).map(field => field.tag),
+    extra: Array.from(present).filter(tag => !known.has(tag))
+  };
 }
 
 /**
- * Prepara e importa un archivo XML.
- * @param {File} file - El archivo XML a importar.
- * @param {Object} ui - La interfaz de usuario para mostrar alertas.
+ * Escribe los encabezados de la hoja de clientes a partir del esquema.
+ * @param {Sheet} sheet - La hoja de clientes.
  */
-function prepareAndImportXMLFileCust(file, ui) {
-  try {
-    const xmlContent = file.getBlob().getDataAsString('ISO-8859-1');
-    const xml        = XmlService.parse(xmlContent);
-    const root       = xml.getRootElement();
-    const entries    = root.getChildren('DATO');
-
-    // Verificar si el XML tiene 31 campos (nuevo número de campos)
-    const firstEntry = entries[0];
-    if (firstEntry && firstEntry.getChildren().length !== 31) {
-      ui.alert('Error', 'Formato de archivo incorrecto. El XML debe tener 31 campos por registro.', ui.ButtonSet.OK);
+function writeCustomerHeadersCust(sheet) {
+  const headers = CUST_SCHEMA.map(field => field.header).concat([CUST_STATUS_HEADER]);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+}
+
+/**
+ * Aplica a cada columna de la hoja de clientes el formato de número que corresponde a su tipo,
+ * para que las sumas, filtros y ordenamientos funcionen sobre importes y fechas.
+ * @param {Object} batch - El lote de escrituras (ver createSheetsBatch).
+ * @param {Sheet} sheet - La hoja de clientes.
+ * @param {number} [lastRow] - La última fila con datos después del lote, si supera el tamaño actual de la hoja.
+ */
+function applyCustomerFormatsCust(batch, sheet, lastRow = 0) {
+  const rows = Math.max(sheet.getMaxRows(), lastRow) - 1;
+  const formats = CUST_SCHEMA.map(field => field.format || CUST_TYPE_FORMATS[field.type]);
+  batch.setNumberFormats(sheet, 2, rows, 1, formats);
+}
+
+/**
+ * Obtiene el número de columna (base 1) de un campo del esquema en la hoja de clientes.
+ * @param {string} tag - El nombre del campo en el esquema.
+ * @returns {number} - El número de columna, o 0 si el campo no está en el esquema.
+ */
+function getCustomerColumnCust(tag) {
+  return CUST_SCHEMA.findIndex(field => field.tag === tag) + 1;
+}
+
+/**
+ * Actualiza la hoja de clientes con las filas importadas usando CodCliente como clave.
+ * Solo se escriben las filas nuevas y las que cambiaron.
+ * @param {Sheet} sheet - La hoja de clientes.
+ * @param {Array} data - Las filas importadas (CUST_FIELD_COUNT columnas cada una).
+ * @returns {Object} - Los datos importados, los contadores de la actualización, los cambios por campo
+ *                     ({ key, field, oldValue, newValue }) y las filas modificadas ({ oldRow, newRow }).
+ */
+function upsertCustomerRowsCust(sheet, data) {
+  const result  = { data: data, inserted: 0, updated: 0, unchanged: 0, changes: [], updatedRows: [] };
+  const lastRow = sheet.getLastRow();
+
+  writeCustomerHeadersCust(sheet);
+
+  // Filas actuales: campos importados + columna de estado
+  const existing = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, CUST_STATUS_COLUMN).getValues()
+    : [];
+  const rowByKey = new Map();
+  existing.forEach((row, index) => {
+    if (row[0] !== '') rowByKey.set(String(row[0]), index);
+  });
+
+  const seenKeys = new Set();
+  const newRows  = [];
+  const previous = new Map(); // Valores previos de las filas existentes modificadas
+  data.forEach(row => {
+    const key      = String(row[0]);
+    const incoming = row.concat([CUST_STATUS_ACTIVE]);
+
+    if (seenKeys.has(key)) {
+      // CodCliente repetido dentro del mismo lote: se conserva el último registro
+      const index = rowByKey.get(key);
+      if (index < existing.length) {
+        if (!previous.has(key)) previous.set(key, existing[index]);
+        existing[index] = incoming;
+      } else {
+        newRows[index - existing.length] = incoming;
+      }
       return;
     }
+    seenKeys.add(key);
 
-    const response = ui.alert(
-      'Confirmar importación',
-      `Se encontraron ${entries.length} registros en "${file.getName()}".\n\n¿Deseas continuar?`, 
-      ui.ButtonSet.YES_NO
-    );
-
-    if (response !== ui.Button.YES) return;
-
-    const startTime     = new Date();
-    const importedData  = importXMLFileDataCust(entries);
-    
-    // Verificar duplicados en la columna A (Campo 1)
-    const duplicates = findDuplicatesCust(importedData.map(row => row[0])); // Campo 1
-    if (duplicates.length > 0) {
-        highlightDuplicatesCust(sheetCust, duplicates); // Resaltar duplicados en la columna A
+    if (!rowByKey.has(key)) {
+      rowByKey.set(key, existing.length + newRows.length);
+      newRows.push(incoming);
+      result.inserted++;
+    } else if (rowsEqualCust(existing[rowByKey.get(key)], incoming)) {
+      result.unchanged++;
+    } else {
+      previous.set(key, existing[rowByKey.get(key)]);
+      existing[rowByKey.get(key)] = incoming;
+      result.updated++;
     }
+  });
+
+  previous.forEach((oldRow, key) => {
+    const newRow = existing[rowByKey.get(key)];
+    result.changes.push(...diffCustomerRowsCust(oldRow, newRow));
+    result.updatedRows.push({ oldRow: oldRow, newRow: newRow });
+  });
+  newRows.forEach(row => {
+    result.changes.push({ key: row[0], field: CUST_STATUS_HEADER, oldValue: '', newValue: CUST_STATUS_ACTIVE });
+  });
+
+  // Los formatos van antes que los valores, para que las columnas de texto conserven los ceros iniciales
+  const changedIndexes = Array.from(previous.keys()).map(key => rowByKey.get(key));
+  const firstNewRow    = lastRow < 1 ? 2 : lastRow + 1;
+  const batch          = createSheetsBatch('Clientes: actualización de filas');
+  applyCustomerFormatsCust(batch, sheet, firstNewRow + newRows.length - 1);
+  writeCustomerRowsCust(batch, sheet, existing, changedIndexes);
+  batch.setValues(sheet, firstNewRow, 1, newRows);
+  batch.commit();
+
+  return result;
+}
 
-    const endTime       = new Date();
-    const durationSeconds     = (endTime - startTime) / 1000;
-    const durationMinutes     = Math.floor(durationSeconds / 60);
-    const remainingSeconds    = durationSeconds % 60;
-
-    ui.alert(
-      'Importación Completada', 
-      `Se importaron ${importedData.length} registros, con ${duplicates.length} registros duplicados.\n\n` +
-      `Duración: ${durationMinutes} minutos y ${remainingSeconds.toFixed(2)} segundos.`, 
-      ui.ButtonSet.OK
-    );
-
-    
-    return importedData.length;
-  } catch (error) {
-    ui.alert('Error en la Importación', `Ha ocurrido un error: ${error.message}`, ui.ButtonSet.OK); 
-    console.error(error);
-    logErrorCust(error); // Registrar el error
-    return 0;
+/**
+ * Marca como inactivos o archiva, según CUST_RETIRE_MODE, los clientes de la hoja
+ * cuyo CodCliente no figura en el archivo importado.
+ * @param {Sheet} sheet - La hoja de clientes.
+ * @param {Array<string>} keepKeys - Todos los CodCliente del archivo, incluidos los de registros con errores.
+ * @returns {Object} - { retired, changes } con la cantidad de clientes retirados y sus cambios de estado.
+ */
+function retireMissingCustomersCust(sheet, keepKeys) {
+  const result  = { retired: 0, changes: [] };
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return result;
+
+  const keep     = new Set(keepKeys.map(String));
+  const existing = sheet.getRange(2, 1, lastRow - 1, CUST_STATUS_COLUMN).getValues();
+  const retiredIndexes = [];
+  const changedIndexes = [];
+
+  existing.forEach((row, index) => {
+    if (row[0] === '' || keep.has(String(row[0]))) return;
+    const status = row[CUST_STATUS_COLUMN - 1];
+    if (CUST_RETIRE_MODE === 'archive') {
+      retiredIndexes.push(index);
+      result.retired++;
+      result.changes.push({ key: row[0], field: CUST_STATUS_HEADER, oldValue: status, newValue: CUST_STATUS_ARCHIVED });
+    } else if (status !== CUST_STATUS_INACTIVE) {
+      row[CUST_STATUS_COLUMN - 1] = CUST_STATUS_INACTIVE;
+      changedIndexes.push(index);
+      result.retired++;
+      result.changes.push({ key: row[0], field: CUST_STATUS_HEADER, oldValue: status, newValue: CUST_STATUS_INACTIVE });
+    }
+  });
+
+  const batch = createSheetsBatch('Clientes: retiro de ausentes');
+  writeCustomerRowsCust(batch, sheet, existing, changedIndexes);
+  if (retiredIndexes.length > 0) {
+    archiveCustomerRowsCust(batch, sheet, retiredIndexes.map(index => index + 2));
   }
+  batch.commit();
+
+  return result;
 }
 
 /**
- * Importa los datos del archivo XML a la hoja de cálculo.
- * @param {Array} entries - Las entradas del XML.
- * @returns {Array} - Los datos importados.
+ * Escribe en la hoja de clientes las filas indicadas, agrupando las consecutivas en un solo rango del lote.
+ * @param {Object} batch - El lote de escrituras (ver createSheetsBatch).
+ * @param {Sheet} sheet - La hoja de clientes (o la hoja destino de otro perfil de importación).
+ * @param {Array<Array>} rows - Todas las filas de datos, desde la fila 2 de la hoja.
+ * @param {Array<number>} indexes - Los índices (base 0) de las filas a escribir.
+ * @param {number} [width=CUST_STATUS_COLUMN] - La cantidad de columnas de cada fila.
  */
-function importXMLFileDataCust(entries) {
-  const sheetCust = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CUST_SHEET_NAME) || 
-                    SpreadsheetApp.getActiveSpreadsheet().insertSheet(CUST_SHEET_NAME);
-  const lastRow = sheetCust.getLastRow();
-  if (lastRow > 1) {
-    sheetCust.getRange('A2:Q' + lastRow).clearContent(); // Limpiar columnas A a Q
+function writeCustomerRowsCust(batch, sheet, rows, indexes, width = CUST_STATUS_COLUMN) {
+  const sorted = indexes.slice().sort((a, b) => a - b);
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1] === sorted[end] + 1) end++;
+    const block = rows.slice(sorted[start], sorted[end] + 1);
+    batch.setValues(sheet, sorted[start] + 2, 1, block.map(row => row.slice(0, width)));
+    start = end + 1;
   }
-  const data = entries.map(entry => [
-    parseInt(entry.getChildText('CodCliente')), // Campo 1: CodCliente (convertido a entero)
-    entry.getChildText('RazonSocialdelCliente'), // Campo 2: RazonSocialdelCliente
-    entry.getChildText('TipoDoc'), // Campo 3: TipoDoc
-    entry.getChildText('NroDocumento'), // Campo 4: NroDocumento
-    entry.getChildText('Direccion'), // Campo 5: Direccion
-    entry.getChildText('CodPostal'), // Campo 6: CodPostal
-    entry.getChildText('Localidad'), // Campo 7: Localidad
-    entry.getChildText('Zona'), // Campo 8: Zona
-    entry.getChildText('Provincia'), // Campo 9: Provincia
-    entry.getChildText('Pais'), // Campo 10: Pais
-    entry.getChildText('TipodeCliente'), // Campo 11: TipodeCliente
-    entry.getChildText('CategoriaCliente'), // Campo 12: CategoriaCliente
-    entry.getChildText('SubCategoriaCliente'), // Campo 13: SubCategoriaCliente
-    parseInt(entry.getChildText('CodVendedor')), // Campo 14: CodVendedor (convertido a entero)
-    entry.getChildText('Vendedor'), // Campo 15: Vendedor
-    entry.getChildText('ListadePrecios'), // Campo 16: ListadePrecios
-    entry.getChildText('CondiciondeVentaPredeterminada'), // Campo 17: CondiciondeVentaPredeterminada (ahora como string)
-    entry.getChildText('SF_FechadeActualizacion'), // Campo 18: SF_FechadeActualizacion (ahora como string)
-    convertToBoolean(entry.getChildText('ControlaCredito')), // Campo 19: ControlaCredito (convertido a booleano)
-    entry.getChildText('SF_CreditoMaximo'), // Campo 20: SF_CreditoMaximo (sin transformación)
-    entry.getChildText('SF_PenddeFacturar'), // Campo 21: SF_PenddeFacturar (sin transformación)
-    entry.getChildText('SF_ChequesenCartera'), // Campo 22: SF_ChequesenCartera (sin transformación)
-    entry.getChildText('SF_ChequesRechazados'), // Campo 23: SF_ChequesRechazados (sin transformación)
-    entry.getChildText('SF_CreditoaVencer'), // Campo 24: SF_CreditoaVencer (sin transformación)
-    entry.getChildText('SF_CreditoVencido'), // Campo 25: SF_CreditoVencido (sin transformación)
-    convertToBoolean(entry.getChildText('SF_Moroso')), // Campo 26: SF_Moroso (convertido a booleano)
-    convertToBoolean(entry.getChildText('SF_Engestionjudicial')), // Campo 27: SF_Engestionjudicial (convertido a booleano)
-    convertToBoolean(entry.getChildText('SF_Incobrable')), // Campo 28: SF_Incobrable (convertido a booleano)
-    entry.getChildText('FechaUltimaCompra'), // Campo 29: FechaUltimaCompra
-    convertToDateTime(entry.getChildText('FechaUltModificacion')), // Campo 30: FechaUltModificacion (convertido a DateTime)
-    convertToBoolean(entry.getChildText('Habilitado')) // Campo 31: Habilitado (convertido a booleano)
-  ]);
-
-  if (data.length > 0) {
-    sheetCust.getRange(2, 1, data.length, data[0].length).setValues(data);
-    
-    // Eliminar filas excedentes
-    const newLastRow = sheetCust.getLastRow();
-    if (newLastRow < sheetCust.getMaxRows()) {
-      sheetCust.deleteRows(newLastRow + 1, sheetCust.getMaxRows() - newLastRow);
-    }
-    
-    return data;
-  } else {
-    SpreadsheetApp.getUi().alert('No hay datos para importar.');
-    return [];
+}
+
+/**
+ * Mueve filas de la hoja de clientes a la hoja de archivo, con la fecha de archivo en la columna A.
+ * Se copia la fila completa, incluidas las columnas agregadas a mano junto a los datos.
+ * La copia y la eliminación se agregan al lote, que se encarga de eliminar de abajo hacia arriba.
+ * @param {Object} batch - El lote de escrituras (ver createSheetsBatch).
+ * @param {Sheet} sheet - La hoja de clientes.
+ * @param {Array<number>} rowNumbers - Los números de fila a archivar, en orden ascendente.
+ */
+function archiveCustomerRowsCust(batch, sheet, rowNumbers) {
+  const ss           = SpreadsheetApp.getActiveSpreadsheet();
+  const archiveSheet = ss.getSheetByName(CUST_ARCHIVE_SHEET_NAME) || ss.insertSheet(CUST_ARCHIVE_SHEET_NAME);
+  const lastColumn   = sheet.getLastColumn();
+
+  if (archiveSheet.getLastRow() === 0) {
+    const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+    archiveSheet.appendRow(['Fecha de Archivo'].concat(headers));
   }
+
+  const archivedAt = new Date();
+  const rows = rowNumbers.map(rowNumber =>
+    [archivedAt].concat(sheet.getRange(rowNumber, 1, 1, lastColumn).getValues()[0])
+  );
+  batch.setValues(archiveSheet, archiveSheet.getLastRow() + 1, 1, rows);
+  batch.deleteRows(sheet, rowNumbers);
 }
 
 /**
- * Convierte una cadena de fecha y hora en formato "dd/MM/yyyy HH:mm:ss a.m./p.m." a un objeto Date.
+ * Obtiene los campos que cambiaron entre dos versiones de la fila de un cliente.
+ * @param {Array} oldRow - La fila anterior (campos importados + estado).
+ * @param {Array} newRow - La fila nueva (campos importados + estado).
+ * @param {Array<Object>} [schema=CUST_SCHEMA] - El esquema del perfil de importación.
+ * @param {number} [keyIndex=0] - La columna del campo clave (base 0).
+ * @returns {Array<Object>} - Un cambio por campo: { key, field, oldValue, newValue }.
+ */
+function diffCustomerRowsCust(oldRow, newRow, schema = CUST_SCHEMA, keyIndex = 0) {
+  const changes = [];
+  newRow.forEach((value, index) => {
+    if (cellValuesEqualCust(oldRow[index], value)) return;
+    changes.push({
+      key: newRow[keyIndex],
+      field: index < schema.length ? schema[index].tag : CUST_STATUS_HEADER,
+      oldValue: oldRow[index],
+      newValue: value
+    });
+  });
+  return changes;
+}
+
+/**
+ * Compara dos filas de clientes celda por celda.
+ * @param {Array} a - La primera fila.
+ * @param {Array} b - La segunda fila.
+ * @returns {boolean} - true si todas las celdas son equivalentes.
+ */
+function rowsEqualCust(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((value, index) => cellValuesEqualCust(value, b[index]));
+}
+
+/**
+ * Compara el valor de una celda con un valor importado.
+ * La hoja convierte textos numéricos en números y las fechas en objetos Date,
+ * por lo que la comparación se hace sobre valores normalizados.
+ * @param {*} a - El primer valor.
+ * @param {*} b - El segundo valor.
+ * @returns {boolean} - true si ambos valores son equivalentes.
+ */
+function cellValuesEqualCust(a, b) {
+  const normalize = value => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.getTime();
+    if (typeof value === 'number' && isNaN(value)) return '';
+    return typeof value === 'string' ? value.trim() : value;
+  };
+  const x = normalize(a);
+  const y = normalize(b);
+  if (x === y) return true;
+
+  // Número en la hoja frente a texto numérico importado (por ejemplo "1234" o "1.234,50")
+  const toNumber = value => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value === '') return NaN;
+    const plain = Number(value);
+    return isNaN(plain) ? convertToNumber(value) : plain;
+  };
+  const nx = toNumber(x);
+  const ny = toNumber(y);
+  return !isNaN(nx) && !isNaN(ny) && nx === ny && (typeof x === 'number' || typeof y === 'number');
+}
+
+/**
+ * Convierte una cadena de fecha o fecha y hora del ERP a un objeto Date.
+ * Formatos aceptados:
+ * - "dd/MM/yyyy" y "dd/MM/yy" (también con "-" o "." como separador).
+ * - "dd/MM/yyyy HH:mm" y "dd/MM/yyyy HH:mm:ss" en formato de 24 horas.
+ * - "dd/MM/yyyy hh:mm:ss a.m./p.m." en formato de 12 horas (también "a. m.", "AM", "PM").
+ * - "yyyy-MM-dd" y "yyyy-MM-ddTHH:mm:ss" (ISO 8601, con zona horaria opcional).
  * @param {string} dateTimeStr - La cadena de fecha y hora a convertir.
- * @returns {Date} - El objeto Date resultante.
+ * @returns {Date|null} - El objeto Date resultante, o null si el formato no es válido.
  */
 function convertToDateTime(dateTimeStr) {
     if (!dateTimeStr || typeof dateTimeStr !== 'string') {
         return null; // Manejar el caso donde la cadena es undefined o no es un string
     }
-    
-    const parts = dateTimeStr.split(' ');
-    if (parts.length !== 3) {
-        return null; // Manejar el caso donde el formato no es el esperado
+
+    const text = dateTimeStr.replace(/[\u00a0\u202f]/g, ' ').trim();
+
+    // ISO 8601 con zona horaria: lo resuelve el constructor de Date
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
     }
 
-    const [datePart, timePart, period] = parts;
-    const [day, month, year] = datePart.split('/').map(Number);
-    const [hours, minutes, seconds] = timePart.split(':').map(Number);
+    let year, month, day, hours = 0, minutes = 0, seconds = 0, period = null;
+    const iso   = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/);
+    const local = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4}|\d{2})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s*m\.?)?)?$/i);
 
-    let adjustedHours = hours;
-    if (period.toLowerCase() === 'p.m.' && hours < 12) {
-        adjustedHours += 12; // Convertir a formato 24 horas
-    } else if (period.toLowerCase() === 'a.m.' && hours === 12) {
-        adjustedHours = 0; // Ajustar 12 a.m. a 0 horas
+    if (iso) {
+        [year, month, day] = iso.slice(1, 4).map(Number);
+        if (iso[4] !== undefined) [hours, minutes, seconds] = [iso[4], iso[5], iso[6] || 0].map(Number);
+    } else if (local) {
+        [day, month, year] = local.slice(1, 4).map(Number);
+        if (local[3].length === 2) year += 2000; // Año de dos dígitos: siglo XXI
+        if (local[4] !== undefined) [hours, minutes, seconds] = [local[4], local[5], local[6] || 0].map(Number);
+        period = local[7] ? local[7].toLowerCase() : null;
+    } else {
+        return null; // Manejar el caso donde el formato no es el esperado
     }
 
-    return new Date(year, month - 1, day, adjustedHours, minutes, seconds);
-}
-/**
- * Obtiene los archivos de una carpeta específica en Google Drive.
- * @param {string} folderId - El ID de la carpeta.
- * @param {string} extension - La extensión de los archivos a buscar.
- * @returns {Array} - Una lista de archivos que coinciden con la extensión.
- */
-function getFilesFromFolderCust(folderId, extension) {
-  try {
-    const folder       = DriveApp.getFolderById(folderId);
-    const filesIterator = folder.getFiles();
-    const files        = [];
-
-    while (filesIterator.hasNext()) {
-      const file = filesIterator.next();
-      if (file.getName().endsWith(extension)) {
-        files.push(file);
-      }
+    if (period) {
+        if (hours < 1 || hours > 12) return null;
+        if (period === 'p' && hours < 12) {
+            hours += 12; // Convertir a formato 24 horas
+        } else if (period === 'a' && hours === 12) {
+            hours = 0; // Ajustar 12 a.m. a 0 horas
+        }
     }
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
 
-    return files;
-  } catch (error) {
-    console.error('Error accessing folder:', error);
-    throw new Error('No se pudo acceder a la carpeta especificada.');
-  }
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    // Rechazar fechas que no existen (por ejemplo 31/02), que Date desplaza al mes siguiente
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return date;
 }
 
 /**
- * Obtiene el archivo más reciente de una lista de archivos.
- * @param {Array} files - La lista de archivos.
- * @returns {File} - El archivo más reciente.
+ * Convierte un importe con formato argentino a número.
+ * Acepta separador de miles "." y decimal "," ("1.234.567,89"), símbolo "$" y negativos
+ * con signo adelante ("-1.234,50"), signo atrás ("1.234,50-") o entre paréntesis ("(1.234,50)").
+ * Sin coma decimal, un único punto seguido de 1, 2 o más de 3 dígitos se toma como separador decimal ("1234.5").
+ * @param {string} value - El importe a convertir.
+ * @returns {number} - El número resultante, o NaN si el formato no es válido.
  */
-function getLatestFileCust(files) {
-  return files.reduce((a, b) => a.getLastUpdated() > b.getLastUpdated() ? a : b);
-}
+function convertToNumber(value) {
+  if (value === null || value === undefined) return NaN;
+  let text = String(value).replace(/[\s$]/g, '');
+  if (text === '') return NaN;
 
-/**
- * Solicita al usuario que ingrese la URL de un archivo XML en Google Drive.
- * @param {Object} ui - La interfaz de usuario para mostrar alertas.
- * @param {Array} files - La lista de archivos disponibles.
- * @returns {File|null} - El archivo seleccionado o null si se cancela.
- */
-function getFileFromUserCust(ui, files) {
-  let fileUrl = ui.prompt(
-    'Buscar archivo XML',
-    'Ingresa la URL del archivo XML en Google Drive (link de compartir archivo de Drive):',
-    ui.ButtonSet.OK_CANCEL
-  ).getResponseText();
-
-  while (true) {
-    if (fileUrl) {
-      try {
-        const fileIdMatch = fileUrl.match(/\/d\/([^\/]+)/);
-        if (fileIdMatch) {
-          const fileId = fileIdMatch[1];
-          return DriveApp.getFileById(fileId);
-        } else {
-          ui.alert('Error', 'La URL no es válida. Asegúrate de que sea un enlace para compartir de Google Drive.', ui.ButtonSet.OK);
-        }
-      } catch (error) {
-        ui.alert('Error', 'Ocurrió un error al obtener el archivo. Verifica la URL e inténtalo de nuevo.', ui.ButtonSet.OK);
-      }
-    } else {
-      ui.alert('Importación cancelada', 'El usuario canceló la selección del archivo.', ui.ButtonSet.OK);
-      return null;
-    }
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/^-/.test(text)) {
+    negative = !negative;
+    text = text.slice(1);
+  } else if (/-$/.test(text)) {
+    negative = !negative;
+    text = text.slice(0, -1);
+  }
 
-    fileUrl = ui.prompt(
-      'Buscar archivo XML',
-      'Ingresa la URL del archivo XML en Google Drive (link de compartir archivo de Drive):',
-      ui.ButtonSet.OK_CANCEL
-    ).getResponseText();
+  let normalized;
+  if (/^\d{1,3}(\.\d{3})*(,\d+)?$/.test(text) || /^\d+(,\d+)?$/.test(text)) {
+    normalized = text.replace(/\./g, '').replace(',', '.'); // Formato argentino
+  } else if (/^\d+\.\d+$/.test(text)) {
+    normalized = text; // Punto decimal sin separador de miles
+  } else {
+    return NaN;
   }
+
+  const number = Number(normalized);
+  return negative ? -number : number;
 }
 
 /**
@@ -286,25 +631,27 @@ function findDuplicatesCust(values) {
 }
 
 /**
- * Resalta las filas duplicadas en la hoja.
+ * Resalta en la columna A los clientes con CodCliente duplicado en el archivo importado y quita
+ * el resaltado de la importación anterior. Los duplicados por documento o razón social se revisan
+ * en la hoja de posibles duplicados (ver buildDuplicatesReviewSheetCust).
  * @param {Object} sheet - La hoja de cálculo.
  * @param {Array} duplicates - Los valores duplicados.
  */
 function highlightDuplicatesCust(sheet, duplicates) {
-    const range = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn());
-    const values = range.getValues();
-    
-    values.forEach((row, index) => {
-        if (duplicates.includes(row[0])) { // Campo 1 en la columna A
-            range.getCell(index + 1, 1).setBackground('yellow'); // Resaltar en amarillo
-        }
-    });
+    if (sheet.getLastRow() < 2) return;
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues();
+    const keys   = new Set(duplicates.map(String));
+    const batch  = createSheetsBatch('Clientes: resaltado de duplicados');
+
+    batch.setBackgrounds(sheet, 2, 1, values.map(row => [keys.has(String(row[0])) ? '#FFFF00' : null])); // Resaltar en amarillo
+    batch.commit();
 }
+
 /**
  * Convierte una cadena "Verdadero" o "Falso" a un valor booleano para Google Sheets.
  * @param {string} value - El valor a convertir.
  * @returns {boolean} - El valor booleano correspondiente.
  */
 function convertToBoolean(value) {
-  return value.toLowerCase() === 'verdadero';
+  return String(value || '').trim().toLowerCase() === 'verdadero';
 }
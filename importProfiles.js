@@ -0,0 +1,412 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script define los perfiles de importación de los archivos exportados por el ERP (Clientes,
+ * Ventas y Productos) y el circuito común a todos ellos: búsqueda del archivo en Drive, lectura,
+ * validación contra el esquema del perfil, vista previa (ver customerImportPreview.js) y registro en el
+ * registro de importaciones. Los clientes siguen después con su importación por lotes (ver
+ * importCustomers.js); los demás perfiles se actualizan por su campo clave en una sola escritura.
+ * El menú tiene un ítem por perfil.
+ */
+
+const IMP_PROFILE_CUSTOMERS   = 'clientes';
+const IMP_PROFILE_SALES       = 'ventas';
+const IMP_PROFILE_PRODUCTS    = 'productos';
+const IMP_SALES_FOLDER_ID     = ''; // ID de la carpeta de ventas en Drive (completar antes de importar ventas)
+const IMP_PRODUCTS_FOLDER_ID  = ''; // ID de la carpeta de productos en Drive (completar antes de importar productos)
+const IMP_FILE_CHOICES        = 10; // Archivos que se ofrecen al elegir otro archivo
+
+/**
+ * Esquema de las ventas: un comprobante por registro. Mismo formato que CUST_SCHEMA.
+ */
+const IMP_SALES_SCHEMA = [
+  { tag: 'Comprobante',           header: 'Comprobante',        type: 'string', required: true },
+  { tag: 'TipoComprobante',       header: 'Tipo Comprobante',   type: 'string', required: false },
+  { tag: 'FechaComprobante',      header: 'Fecha',              type: 'date',   required: true, format: 'dd/mm/yyyy' },
+  { tag: 'CodCliente',            header: 'Cód. Cliente',       type: 'int',    required: true },
+  { tag: 'RazonSocialdelCliente', header: 'Razón Social',       type: 'string', required: false },
+  { tag: 'CodVendedor',           header: 'Cód. Vendedor',      type: 'int',    required: false },
+  { tag: 'Vendedor',              header: 'Vendedor',           type: 'string', required: false },
+  { tag: 'CondiciondeVenta',      header: 'Condición de Venta', type: 'string', required: false },
+  { tag: 'Moneda',                header: 'Moneda',             type: 'string', required: false },
+  { tag: 'ImporteNeto',           header: 'Importe Neto',       type: 'money',  required: false },
+  { tag: 'ImporteIVA',            header: 'Importe IVA',        type: 'money',  required: false },
+  { tag: 'ImporteTotal',          header: 'Importe Total',      type: 'money',  required: true }
+];
+
+/**
+ * Esquema de los productos. Mismo formato que CUST_SCHEMA.
+ */
+const IMP_PRODUCTS_SCHEMA = [
+  { tag: 'CodProducto',          header: 'Cód. Producto',     type: 'string',  required: true },
+  { tag: 'Descripcion',          header: 'Descripción',       type: 'string',  required: true },
+  { tag: 'Rubro',                header: 'Rubro',             type: 'string',  required: false },
+  { tag: 'SubRubro',             header: 'Subrubro',          type: 'string',  required: false },
+  { tag: 'Marca',                header: 'Marca',             type: 'string',  required: false },
+  { tag: 'UnidaddeMedida',       header: 'Unidad de Medida',  type: 'string',  required: false },
+  { tag: 'PrecioLista',          header: 'Precio de Lista',   type: 'money',   required: false },
+  { tag: 'Costo',                header: 'Costo',             type: 'money',   required: false },
+  { tag: 'StockActual',          header: 'Stock Actual',      type: 'money',   required: false, format: '#,##0.##' },
+  { tag: 'Habilitado',           header: 'Habilitado',        type: 'boolean', required: false },
+  { tag: 'FechaUltModificacion', header: 'Fecha Últ. Modif.', type: 'date',    required: false }
+];
+
+/**
+ * Obtiene el registro de perfiles de importación. Cada perfil tiene:
+ * - id y label: el identificador y el nombre que se muestra.
+ * - menuLabel y menuFunction: el ítem del menú "Importación de Datos" y la función que ejecuta.
+ * - folderId y filePattern: la carpeta de Drive y la expresión que deben cumplir los nombres de archivo.
+ * - namePrefix: el comienzo del nombre de los archivos, que Drive usa para filtrar en el servidor ('' para todos).
+ * - recursive y processedFolder: buscar también en las subcarpetas y la subcarpeta a la que se mueven
+ *   los archivos importados (ver customerDriveFiles.js).
+ * - recordElement: el elemento de cada registro en los archivos XML.
+ * - schema, sheetName y keyTag: el esquema, la hoja destino y el campo clave de la actualización.
+ * - labelTag: el campo que acompaña a la clave en los ejemplos de la vista previa.
+ * - batchImport (opcional): se importa con la importación por lotes de clientes, que agrega la columna
+ *   de estado y retira los registros que no están en el archivo (ver customerImportJob.js).
+ * @returns {Array<Object>} - Los perfiles, en el orden del menú.
+ */
+function getImportProfilesImp() {
+  return [
+    {
+      id: IMP_PROFILE_CUSTOMERS,
+      label: 'Clientes',
+      menuLabel: 'Importar Clientes con Situación Financiera',
+      menuFunction: 'importCustomers',
+      folderId: CUST_FOLDER_ID,
+      filePattern: /.*/, // Todos los archivos de la carpeta de clientes
+      namePrefix: '',
+      recursive: CUST_SEARCH_SUBFOLDERS,
+      processedFolder: CUST_PROCESSED_FOLDER_NAME,
+      recordElement: CUST_RECORD_ELEMENT,
+      schema: CUST_SCHEMA,
+      sheetName: CUST_SHEET_NAME,
+      keyTag: 'CodCliente',
+      labelTag: 'RazonSocialdelCliente',
+      batchImport: true
+    },
+    {
+      id: IMP_PROFILE_SALES,
+      label: 'Ventas',
+      menuLabel: 'Importar Ventas',
+      menuFunction: 'importSalesImp',
+      folderId: IMP_SALES_FOLDER_ID,
+      filePattern: /^ventas/i,
+      namePrefix: 'Ventas',
+      recursive: false,
+      processedFolder: CUST_PROCESSED_FOLDER_NAME,
+      recordElement: 'DATO',
+      schema: IMP_SALES_SCHEMA,
+      sheetName: 'Base Ventas',
+      keyTag: 'Comprobante',
+      labelTag: 'RazonSocialdelCliente'
+    },
+    {
+      id: IMP_PROFILE_PRODUCTS,
+      label: 'Productos',
+      menuLabel: 'Importar Productos',
+      menuFunction: 'importProductsImp',
+      folderId: IMP_PRODUCTS_FOLDER_ID,
+      filePattern: /^productos/i,
+      namePrefix: 'Productos',
+      recursive: false,
+      processedFolder: CUST_PROCESSED_FOLDER_NAME,
+      recordElement: 'DATO',
+      schema: IMP_PRODUCTS_SCHEMA,
+      sheetName: 'Productos',
+      keyTag: 'CodProducto',
+      labelTag: 'Descripcion'
+    }
+  ];
+}
+
+/**
+ * Obtiene un perfil de importación por su identificador.
+ * @param {string} profileId - El identificador del perfil.
+ * @returns {Object} - El perfil (ver getImportProfilesImp).
+ * @throws {Error} Si el perfil no existe.
+ */
+function getImportProfileImp(profileId) {
+  const profile = getImportProfilesImp().find(candidate => candidate.id === profileId);
+  if (!profile) throw new Error(`No existe el perfil de importación "${profileId}".`);
+  return profile;
+}
+
+/**
+ * Importa un archivo de ventas.
+ */
+function importSalesImp() {
+  importWithProfileImp(IMP_PROFILE_SALES);
+}
+
+/**
+ * Importa un archivo de productos.
+ */
+function importProductsImp() {
+  importWithProfileImp(IMP_PROFILE_PRODUCTS);
+}
+
+/**
+ * Importa el último archivo de la carpeta de un perfil o, si el usuario lo prefiere, otro archivo de la carpeta.
+ * @param {string} profileId - El identificador del perfil.
+ */
+function importWithProfileImp(profileId) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const profile    = getImportProfileImp(profileId);
+    const latestFile = getLatestProfileFileImp(profile);
+
+    if (!latestFile) {
+      ui.alert('Error', `No se encontraron archivos XML, CSV o XLSX de ${profile.label} en la carpeta especificada.`, ui.ButtonSet.OK);
+      return;
+    }
+
+    const response   = ui.alert(
+      `Importar Datos de ${profile.label}`,
+      `El último archivo encontrado es:\n\n"${latestFile.getName()}" (modificado el ${latestFile.getLastUpdated().toLocaleString()}).\n\n¿Deseas importar este archivo?`,
+      ui.ButtonSet.YES_NO
+    );
+
+    if (response === ui.Button.YES) {
+      prepareProfileImportImp(profile, latestFile, ui);
+    } else if (response === ui.Button.NO) {
+      const selectedFile = chooseProfileFileImp(profile, getProfileFilesImp(profile), ui);
+      if (selectedFile) prepareProfileImportImp(profile, selectedFile, ui);
+    }
+  } catch (error) {
+    ui.alert('Error en la Importación', `Ha ocurrido un error: ${error.message}`, ui.ButtonSet.OK);
+    logErrorCust(error);
+  }
+}
+
+/**
+ * Obtiene las opciones de búsqueda en Drive de un perfil (ver getFilesFromFolderCust). La subcarpeta de
+ * procesados se omite, para no volver a ofrecer los archivos ya importados.
+ * @param {Object} profile - El perfil de importación.
+ * @returns {Object} - Las opciones de búsqueda.
+ * @throws {Error} Si la carpeta del perfil no está configurada.
+ */
+function getProfileSearchOptionsImp(profile) {
+  if (!profile.folderId) {
+    throw new Error(`La carpeta de ${profile.label} no está configurada. Completa su ID en importProfiles.js.`);
+  }
+  return {
+    recursive: profile.recursive,
+    namePrefix: profile.namePrefix,
+    pattern: profile.filePattern,
+    excludeFolder: profile.processedFolder
+  };
+}
+
+/**
+ * Obtiene los archivos de la carpeta de un perfil cuyo nombre cumple su patrón.
+ * @param {Object} profile - El perfil de importación.
+ * @returns {Array<Object>} - Los archivos XML, CSV o XLSX del perfil, del más reciente al más antiguo.
+ */
+function getProfileFilesImp(profile) {
+  return getFilesFromFolderCust(profile.folderId, CUST_FILE_EXTENSIONS, getProfileSearchOptionsImp(profile));
+}
+
+/**
+ * Obtiene el archivo más reciente de la carpeta de un perfil.
+ * @param {Object} profile - El perfil de importación.
+ * @returns {Object|null} - El archivo, o null si la carpeta no tiene archivos del perfil.
+ */
+function getLatestProfileFileImp(profile) {
+  return getLatestFileFromFolderCust(profile.folderId, CUST_FILE_EXTENSIONS, getProfileSearchOptionsImp(profile));
+}
+
+/**
+ * Pide al usuario que elija uno de los archivos más recientes de la carpeta de un perfil.
+ * @param {Object} profile - El perfil de importación.
+ * @param {Array<Object>} files - Los archivos del perfil, del más reciente al más antiguo.
+ * @param {Object} ui - La interfaz de usuario.
+ * @returns {Object|null} - El archivo elegido, o null si el usuario canceló.
+ */
+function chooseProfileFileImp(profile, files, ui) {
+  const choices = files.slice(0, IMP_FILE_CHOICES);
+  const list = choices
+    .map((file, index) => `${index + 1}. ${file.getName()} (${formatDate(file.getLastUpdated(), 'dateTime')})`)
+    .join('\n');
+
+  while (true) {
+    const response = ui.prompt(`Elegir Archivo de ${profile.label}`, `Ingresa el número del archivo a importar:\n\n${list}`, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return null;
+
+    const index = parseInt(response.getResponseText(), 10) - 1;
+    if (index >= 0 && index < choices.length) return choices[index];
+    ui.alert('Error', `Ingresa un número entre 1 y ${choices.length}.`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Lee un archivo con el esquema de un perfil y lo analiza sin modificar ninguna hoja.
+ * @param {Object} profile - El perfil de importación.
+ * @param {File} file - El archivo XML, CSV o XLSX.
+ * @returns {Object} - { entries, fields, validation }: los registros del archivo, el resultado de
+ *                     inspectXMLFieldsCust y el de validateCustomerEntriesCust.
+ */
+function analyzeProfileFileImp(profile, file) {
+  const entries = readCustomerEntriesCust(file, profile.recordElement, profile.schema);
+
+  return {
+    entries: entries,
+    fields: inspectXMLFieldsCust(entries, profile.schema),
+    validation: validateCustomerEntriesCust(entries, 0, profile.schema, profile.keyTag)
+  };
+}
+
+/**
+ * Valida un archivo de un perfil y muestra su vista previa. Los datos se escriben recién cuando el
+ * usuario la confirma (ver commitImportPreviewCust).
+ * @param {Object} profile - El perfil de importación.
+ * @param {File} file - El archivo a importar.
+ * @param {Object} ui - La interfaz de usuario para mostrar alertas.
+ */
+function prepareProfileImportImp(profile, file, ui) {
+  if (profile.batchImport && isCustomerImportJobActiveCust()) {
+    ui.alert('Importación en Curso', 'Hay otra importación de clientes en curso. Espera a que termine para iniciar una nueva.', ui.ButtonSet.OK);
+    return;
+  }
+  const headerProblem = profile.batchImport ? null : checkProfileSheetHeadersImp(profile);
+  if (headerProblem) {
+    ui.alert('Error', headerProblem, ui.ButtonSet.OK);
+    return;
+  }
+
+  const analysis = analyzeProfileFileImp(profile, file);
+  if (analysis.entries.length === 0) {
+    ui.alert('No hay datos para importar.');
+    return;
+  }
+  if (analysis.fields.missingRequired.length > 0) {
+    ui.alert('Error', `Formato de archivo incorrecto. Faltan campos obligatorios: ${analysis.fields.missingRequired.join(', ')}.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  writeImportErrorsCust(analysis.validation.errors, file.getName(), profile.keyTag);
+  if (analysis.validation.validEntries.length === 0) {
+    ui.alert('Error', `Ninguno de los ${analysis.entries.length} registros de "${file.getName()}" es válido. Revisa la hoja "${CUST_ERRORS_SHEET_NAME}".`, ui.ButtonSet.OK);
+    return;
+  }
+
+  showImportPreviewCust(profile, file, analysis);
+}
+
+/**
+ * Obtiene la hoja destino de un perfil, creándola si no existe. Los encabezados del esquema se escriben
+ * solo en una hoja nueva o vacía; en una hoja con datos se verifica que coincidan.
+ * @param {Object} profile - El perfil de importación.
+ * @returns {Sheet} - La hoja destino.
+ * @throws {Error} Si la hoja tiene datos y sus encabezados no coinciden con el esquema del perfil.
+ */
+function getProfileSheetImp(profile) {
+  const ss    = SpreadsheetApp.getActiveSpreadsheet();
+  let   sheet = ss.getSheetByName(profile.sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(profile.sheetName);
+    sheet.setFrozenRows(1);
+  }
+
+  if (sheet.getLastRow() === 0) {
+    const headers = profile.schema.map(field => field.header);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    return sheet;
+  }
+
+  const problem = checkProfileSheetHeadersImp(profile);
+  if (problem) throw new Error(problem);
+  return sheet;
+}
+
+/**
+ * Verifica que los encabezados de la hoja destino de un perfil coincidan con su esquema, para no
+ * escribir los registros sobre columnas de otro significado.
+ * @param {Object} profile - El perfil de importación.
+ * @returns {string|null} - La diferencia encontrada, o null si coinciden o la hoja no existe o está vacía.
+ */
+function checkProfileSheetHeadersImp(profile) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(profile.sheetName);
+  if (!sheet || sheet.getLastRow() === 0) return null;
+
+  const headers = profile.schema.map(field => field.header);
+  const current = sheet.getRange(1, 1, 1, headers.length).getValues()[0].map(value => String(value).trim());
+  const index   = headers.findIndex((header, i) => current[i] !== header);
+  if (index < 0) return null;
+
+  return `La hoja "${profile.sheetName}" no tiene los encabezados de ${profile.label}: la columna ${index + 1} ` +
+    `debería ser "${headers[index]}" y es "${current[index]}". Corrige los encabezados de la hoja antes de importar.`;
+}
+
+/**
+ * Compara los registros válidos de un archivo con la hoja destino del perfil, sin escribir nada.
+ * Un campo clave repetido en el archivo conserva el último registro, igual que en los clientes.
+ * @param {Object} profile - El perfil de importación.
+ * @param {Array<Object>} entries - Los registros válidos del archivo.
+ * @returns {Object} - { existing, newRows, changed, unchanged }: las filas actuales de la hoja, las filas
+ *                     nuevas, las modificadas ({ index, oldRow, newRow }) y la cantidad sin cambios.
+ */
+function planProfileImportImp(profile, entries) {
+  const width    = profile.schema.length;
+  const keyIndex = profile.schema.findIndex(field => field.tag === profile.keyTag);
+  const sheet    = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(profile.sheetName);
+  const lastRow  = sheet ? sheet.getLastRow() : 0;
+  const existing = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, width).getValues() : [];
+
+  const rowByKey = new Map();
+  existing.forEach((row, index) => {
+    if (row[keyIndex] !== '') rowByKey.set(String(row[keyIndex]), index);
+  });
+
+  const incoming = new Map();
+  entries.forEach(entry => {
+    const row = profile.schema.map(field => convertFieldValueCust(field, entry[field.tag]));
+    incoming.set(String(row[keyIndex]), row);
+  });
+
+  const plan = { existing: existing, newRows: [], changed: [], unchanged: 0 };
+  incoming.forEach((row, key) => {
+    if (!rowByKey.has(key)) {
+      plan.newRows.push(row);
+    } else if (rowsEqualCust(existing[rowByKey.get(key)], row)) {
+      plan.unchanged++;
+    } else {
+      plan.changed.push({ index: rowByKey.get(key), oldRow: existing[rowByKey.get(key)], newRow: row });
+    }
+  });
+  return plan;
+}
+
+/**
+ * Escribe en la hoja destino del perfil los registros nuevos y los modificados, registra el archivo
+ * en el registro de importaciones y lo mueve a la subcarpeta de procesados.
+ * @param {Object} profile - El perfil de importación.
+ * @param {File} file - El archivo importado.
+ * @param {Object} analysis - El resultado de analyzeProfileFileImp.
+ * @returns {Object} - Los contadores { records, inserted, updated, unchanged, invalid }.
+ */
+function importProfileFileImp(profile, file, analysis) {
+  const sheet = getProfileSheetImp(profile);
+  const width = profile.schema.length;
+  const plan  = planProfileImportImp(profile, analysis.validation.validEntries);
+
+  plan.changed.forEach(change => { plan.existing[change.index] = change.newRow; });
+  const batch   = createSheetsBatch(`${profile.label}: importación`);
+  const formats = profile.schema.map(field => field.format || CUST_TYPE_FORMATS[field.type]);
+  batch.setNumberFormats(sheet, 2, plan.existing.length + plan.newRows.length, 1, formats);
+  writeCustomerRowsCust(batch, sheet, plan.existing, plan.changed.map(change => change.index), width);
+  batch.setValues(sheet, plan.existing.length + 2, 1, plan.newRows);
+  batch.commit();
+
+  const counts = {
+    records: analysis.validation.validEntries.length,
+    inserted: plan.newRows.length,
+    updated: plan.changed.length,
+    unchanged: plan.unchanged,
+    retired: '',
+    invalid: analysis.validation.invalidCount
+  };
+  recordImportInLedgerCust(file, `${CUST_IMPORT_ORIGIN_MANUAL} (${profile.label})`, CUST_OUTCOME_IMPORTED, counts);
+  CustomLogger.log(`Importación de ${profile.label} desde ${file.getName()} completada: ${counts.records} registros`);
+  moveToProcessedFolderCust(file.getId(), profile.folderId, profile.processedFolder);
+  return counts;
+}
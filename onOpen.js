@@ -17,9 +17,40 @@ function onOpen() {
         .addItem('Resumen Mensual', 'monthlyExchangeRateSummary')) // Muestra un resumen mensual de las cotizaciones
       .addToUi();
     
-    // Menú de Importación de Datos
-    ui.createMenu('Importación de Datos') // Menú separado para importación de datos
-      .addItem('Importar Clientes con Situación Financiera', 'importCustomers') // Ítem de menú para importar clientes
+    // Menú de Importación de Datos: un ítem de importación por perfil (ver importProfiles.js)
+    var importMenu = ui.createMenu('Importación de Datos'); // Menú separado para importación de datos
+    getImportProfilesImp().forEach(function(profile) {
+      importMenu.addItem(profile.menuLabel, profile.menuFunction);
+    });
+    importMenu
+      .addSeparator()
+      .addItem('Elegir Archivos de Clientes', 'showCustomerFileBrowserCust') // Lista los archivos de la carpeta para importar uno o varios
+      .addItem('Vaciar Cola de Importación', 'clearCustomerImportQueueCust') // Descarta los archivos pendientes de la cola
+      .addItem('Ver Progreso de Importación', 'showCustomerImportProgressCust') // Muestra el avance de la importación por lotes
+      .addItem('Buscar Cliente', 'showCustomerLookupCust') // Ficha del cliente con su situación crediticia
+      .addItem('Ver Historial del Cliente Seleccionado', 'showCustomerHistoryCust') // Muestra los cambios del cliente seleccionado
+      .addItem('Seguimiento del Cliente Seleccionado', 'showCustomerFollowUpSidebarCust') // Nota, fecha y estado de la cobranza
+      .addItem('Ver Seguimientos del Día', 'updateDueFollowUpsCust') // Seguimientos para hoy o vencidos
+      .addItem('Deshacer última importación', 'undoLastCustomerImportCust') // Restaura el respaldo previo a la última importación
+      .addItem('Restaurar Respaldo de Clientes', 'showCustomerSnapshotsCust') // Elige uno de los últimos respaldos
+      .addSeparator()
+      .addItem('Actualizar Riesgo Crediticio', 'updateCreditRiskSheetCust') // Genera la hoja de riesgo crediticio
+      .addItem('Enviar Alertas de Crédito Pendientes', 'sendCreditAlertDigestsFromMenuCust') // Envía los resúmenes a los vendedores
+      .addItem('Actualizar Clientes Inactivos', 'updateInactiveCustomersReportCust') // Agrupa los clientes por días desde la última compra
+      .addItem('Actualizar Tablero de Clientes', 'updateCustomerDashboardCust') // Distribución de la cartera y su crédito
+      .addItem('Buscar Clientes Duplicados', 'findFuzzyDuplicatesFromMenuCust') // Mismo documento o razón social similar
+      .addItem('Validar Documentos de Clientes', 'updateDocumentValidationCust') // CUIT, CUIL y DNI
+      .addItem('Normalizar Domicilios de Clientes', 'updateNormalizedAddressesFromMenuCust') // Provincia, localidad y código postal
+      .addItem('Actualizar Vistas por Vendedor', 'updateVendorViewsCust') // Clientes de cada vendedor, con columnas protegidas
+      .addSubMenu(ui.createMenu('Saldos en Dólares')
+        .addItem('Usar Dólar Oficial', 'useOfficialDollarCust') // Cotización de venta del dólar oficial
+        .addItem('Usar Dólar Blue', 'useBlueDollarCust') // Cotización de venta del dólar blue
+        .addItem('Usar Dólar MEP', 'useMepDollarCust') // Cotización de venta del dólar MEP
+        .addItem('Desactivar Saldos en Dólares', 'disableCustomerUsdBalancesCust')) // Borra las columnas en dólares
+      .addSubMenu(ui.createMenu('Importación Automática')
+        .addItem('Activar Importación Automática', 'installCustomerImportTriggerCust') // Crea el activador por tiempo
+        .addItem('Desactivar Importación Automática', 'removeCustomerImportTriggerCust') // Elimina el activador por tiempo
+        .addItem('Ver Registro de Importaciones', 'showImportLedgerCust')) // Muestra los archivos procesados
       .addToUi();
     
     // Llamar a la función para posicionar el cursor
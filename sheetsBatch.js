@@ -0,0 +1,272 @@
+/**
+ * @OnlyCurrentDoc
+ * Este script agrupa las escrituras en hojas (valores, formatos de número, resaltados y eliminación de
+ * filas) en lotes que se envían con el servicio avanzado de Sheets (v4), en lugar de una llamada de
+ * SpreadsheetApp por rango o por fila. Cada lote registra en el log cuánto tardó y qué escribió.
+ */
+
+const SHEETS_BATCH_EPOCH = Date.UTC(1899, 11, 30); // Día 0 de los números de serie de fecha de Sheets
+
+/**
+ * Crea un lote de escrituras. Las operaciones se aplican al confirmar el lote, en el orden en que
+ * se agregaron: las filas de cada operación se refieren a la hoja tal como queda después de las anteriores.
+ * @param {string} label - El nombre de la operación, para el log.
+ * @returns {Object} - El lote, con setValues, setNumberFormats, setBackgrounds, deleteRows y commit.
+ */
+function createSheetsBatch(label) {
+  const operations = [];
+  const counts     = { values: 0, formats: 0, highlights: 0, deletedRows: 0 };
+
+  return {
+    /**
+     * Escribe valores como si los ingresara el usuario (igual que Range.setValues).
+     * @param {Sheet} sheet - La hoja.
+     * @param {number} row - La primera fila (base 1).
+     * @param {number} column - La primera columna (base 1).
+     * @param {Array<Array>} values - Los valores; las fechas se escriben como número de serie.
+     */
+    setValues(sheet, row, column, values) {
+      if (values.length === 0) return;
+      const width = values[0].length;
+      operations.push({
+        type: 'values',
+        sheet: sheet,
+        endRow: row + values.length - 1,
+        endColumn: column + width - 1,
+        data: {
+          range: `'${sheet.getName().replace(/'/g, "''")}'!${sheet.getRange(row, column, values.length, width).getA1Notation()}`,
+          values: values.map(cells => cells.map(toSheetsValue))
+        }
+      });
+      counts.values += values.length * width;
+    },
+
+    /**
+     * Aplica un formato de número por columna a un bloque de filas.
+     * @param {Sheet} sheet - La hoja.
+     * @param {number} row - La primera fila (base 1).
+     * @param {number} numRows - La cantidad de filas.
+     * @param {number} column - La primera columna (base 1).
+     * @param {Array<string>} formats - El formato de cada columna ('General' para quitar el formato).
+     */
+    setNumberFormats(sheet, row, numRows, column, formats) {
+      if (numRows < 1) return;
+      // Las columnas consecutivas con el mismo formato van en una sola solicitud
+      let start = 0;
+      while (start < formats.length) {
+        let end = start;
+        while (end + 1 < formats.length && formats[end + 1] === formats[start]) end++;
+        const numberFormat = toSheetsNumberFormat(formats[start]);
+        operations.push({
+          type: 'request',
+          sheet: sheet,
+          endRow: row + numRows - 1,
+          endColumn: column + end,
+          request: {
+            repeatCell: {
+              range: toSheetsGridRange(sheet, row, numRows, column + start, end - start + 1),
+              cell: { userEnteredFormat: numberFormat ? { numberFormat: numberFormat } : {} },
+              fields: 'userEnteredFormat.numberFormat'
+            }
+          }
+        });
+        counts.formats++;
+        start = end + 1;
+      }
+    },
+
+    /**
+     * Cambia el color de fondo de un bloque de celdas.
+     * @param {Sheet} sheet - La hoja.
+     * @param {number} row - La primera fila (base 1).
+     * @param {number} column - La primera columna (base 1).
+     * @param {Array<Array<string|null>>} colors - El color de cada celda ("#RRGGBB"), o null para quitarlo.
+     */
+    setBackgrounds(sheet, row, column, colors) {
+      if (colors.length === 0) return;
+      operations.push({
+        type: 'request',
+        sheet: sheet,
+        endRow: row + colors.length - 1,
+        endColumn: column + colors[0].length - 1,
+        request: {
+          updateCells: {
+            start: { sheetId: sheet.getSheetId(), rowIndex: row - 1, columnIndex: column - 1 },
+            rows: colors.map(cells => ({
+              values: cells.map(color => ({ userEnteredFormat: color ? { backgroundColor: toSheetsColor(color) } : {} }))
+            })),
+            fields: 'userEnteredFormat.backgroundColor'
+          }
+        }
+      });
+      counts.highlights += colors.reduce((total, cells) => total + cells.filter(Boolean).length, 0);
+    },
+
+    /**
+     * Elimina filas de una hoja. Las filas consecutivas se eliminan con una sola solicitud.
+     * @param {Sheet} sheet - La hoja.
+     * @param {Array<number>} rowNumbers - Los números de fila (base 1), en cualquier orden.
+     */
+    deleteRows(sheet, rowNumbers) {
+      // De abajo hacia arriba, para que cada eliminación no desplace las pendientes
+      const sorted = Array.from(new Set(rowNumbers)).sort((a, b) => b - a);
+      let start = 0;
+      while (start < sorted.length) {
+        let end = start;
+        while (end + 1 < sorted.length && sorted[end + 1] === sorted[end] - 1) end++;
+        operations.push({
+          type: 'request',
+          sheet: sheet,
+          endRow: 0,
+          endColumn: 0,
+          request: {
+            deleteDimension: {
+              range: { sheetId: sheet.getSheetId(), dimension: 'ROWS', startIndex: sorted[end] - 1, endIndex: sorted[start] }
+            }
+          }
+        });
+        start = end + 1;
+      }
+      counts.deletedRows += sorted.length;
+    },
+
+    /**
+     * Envía el lote y registra su duración. Las escrituras pendientes de SpreadsheetApp se aplican antes.
+     * @returns {number} - La duración en milisegundos (0 si el lote estaba vacío).
+     */
+    commit() {
+      if (operations.length === 0) return 0;
+      const startTime = new Date().getTime();
+      SpreadsheetApp.flush();
+
+      const spreadsheetId = SpreadsheetApp.getActiveSpreadsheet().getId();
+      const groups = groupSheetsBatchOperations(growSheetsGridOperations(operations).concat(operations));
+      groups.forEach(group => {
+        if (group.type === 'values') {
+          Sheets.Spreadsheets.Values.batchUpdate({ valueInputOption: 'USER_ENTERED', data: group.items.map(op => op.data) }, spreadsheetId);
+        } else {
+          Sheets.Spreadsheets.batchUpdate({ requests: group.items.map(op => op.request) }, spreadsheetId);
+        }
+      });
+
+      const duration = new Date().getTime() - startTime;
+      CustomLogger.log(`Lote "${label}": ${counts.values} valores, ${counts.formats} formatos, ` +
+        `${counts.highlights} celdas resaltadas y ${counts.deletedRows} filas eliminadas ` +
+        `en ${groups.length} llamadas, ${duration} ms`);
+      operations.length = 0;
+      return duration;
+    }
+  };
+}
+
+/**
+ * Agrega filas y columnas a las hojas en las que el lote escribe fuera de la grilla actual,
+ * ya que las escrituras del servicio de Sheets no la amplían por sí solas.
+ * @param {Array<Object>} operations - Las operaciones del lote.
+ * @returns {Array<Object>} - Las operaciones que amplían la grilla, a enviar antes que las demás.
+ */
+function growSheetsGridOperations(operations) {
+  const needed = new Map();
+  operations.forEach(op => {
+    const id      = op.sheet.getSheetId();
+    const current = needed.get(id) || { sheet: op.sheet, rows: 0, columns: 0 };
+    current.rows    = Math.max(current.rows, op.endRow);
+    current.columns = Math.max(current.columns, op.endColumn);
+    needed.set(id, current);
+  });
+
+  const grow = [];
+  needed.forEach((size, sheetId) => {
+    const missingRows    = size.rows - size.sheet.getMaxRows();
+    const missingColumns = size.columns - size.sheet.getMaxColumns();
+    if (missingRows > 0) {
+      grow.push({ type: 'request', request: { appendDimension: { sheetId: sheetId, dimension: 'ROWS', length: missingRows } } });
+    }
+    if (missingColumns > 0) {
+      grow.push({ type: 'request', request: { appendDimension: { sheetId: sheetId, dimension: 'COLUMNS', length: missingColumns } } });
+    }
+  });
+  return grow;
+}
+
+/**
+ * Agrupa las operaciones consecutivas del mismo tipo, para enviar cada grupo en una sola llamada
+ * sin alterar el orden del lote.
+ * @param {Array<Object>} operations - Las operaciones ('values' o 'request').
+ * @returns {Array<Object>} - Los grupos { type, items }.
+ */
+function groupSheetsBatchOperations(operations) {
+  const groups = [];
+  operations.forEach(op => {
+    const last = groups[groups.length - 1];
+    if (last && last.type === op.type) {
+      last.items.push(op);
+    } else {
+      groups.push({ type: op.type, items: [op] });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Convierte un valor de celda al formato que acepta el servicio de Sheets.
+ * @param {*} value - El valor.
+ * @returns {*} - El número de serie para las fechas, '' para los valores vacíos o inválidos, o el valor sin cambios.
+ */
+function toSheetsValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    // Número de serie en la zona horaria del script, que es la de la planilla
+    return (value.getTime() - value.getTimezoneOffset() * 60000 - SHEETS_BATCH_EPOCH) / 86400000;
+  }
+  if (typeof value === 'number' && !isFinite(value)) return '';
+  return value;
+}
+
+/**
+ * Convierte un formato de número de Range.setNumberFormat al formato del servicio de Sheets.
+ * @param {string} pattern - El formato ("dd/mm/yyyy", "#,##0.00", "@", "General", etc.).
+ * @returns {Object|null} - El formato { type, pattern }, o null para el formato automático.
+ */
+function toSheetsNumberFormat(pattern) {
+  if (!pattern || pattern === 'General') return null;
+  if (pattern === '@') return { type: 'TEXT', pattern: '@' };
+  if (/[dy]/i.test(pattern)) return { type: /h/i.test(pattern) ? 'DATE_TIME' : 'DATE', pattern: pattern };
+  return { type: 'NUMBER', pattern: pattern };
+}
+
+/**
+ * Convierte un color "#RRGGBB" al formato del servicio de Sheets.
+ * @param {string} color - El color.
+ * @returns {Object} - El color { red, green, blue } con componentes entre 0 y 1.
+ * @throws {Error} Si el color no tiene el formato "#RRGGBB".
+ */
+function toSheetsColor(color) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+  if (!match) throw new Error(`Color no válido: "${color}". Usa el formato "#RRGGBB".`);
+  return {
+    red: parseInt(match[1], 16) / 255,
+    green: parseInt(match[2], 16) / 255,
+    blue: parseInt(match[3], 16) / 255
+  };
+}
+
+/**
+ * Obtiene el rango del servicio de Sheets (índices base 0, fin exclusivo) de un bloque de celdas.
+ * @param {Sheet} sheet - La hoja.
+ * @param {number} row - La primera fila (base 1).
+ * @param {number} numRows - La cantidad de filas.
+ * @param {number} column - La primera columna (base 1).
+ * @param {number} numColumns - La cantidad de columnas.
+ * @returns {Object} - El rango { sheetId, startRowIndex, endRowIndex, startColumnIndex, endColumnIndex }.
+ */
+function toSheetsGridRange(sheet, row, numRows, column, numColumns) {
+  return {
+    sheetId: sheet.getSheetId(),
+    startRowIndex: row - 1,
+    endRowIndex: row - 1 + numRows,
+    startColumnIndex: column - 1,
+    endColumnIndex: column - 1 + numColumns
+  };
+}
@@ -26,6 +26,11 @@ var Config = {
     BLUE_MEP_BREACH: 'Brecha Blue/MEP',
     LAST_UPDATE: 'Última Actualización',
     MODIFICATION_DATE: 'Fecha de Modificación'
+  },
+  // Formatos de las columnas de fecha, que el servicio de Sheets no aplica al escribir
+  NUMBER_FORMATS: {
+    DATE: 'dddd dd/mm/yyyy',
+    DATE_TIME: 'dd/mm/yy hh:mm:ss'
   }
 };
 
@@ -189,7 +194,9 @@ function handleTodayUpdate(ui, sheet, lastRow) {
     var apiResponse = fetchDataFromApis(today, 'current');
     if (apiResponse) {
       var values = processCurrentApiData(apiResponse.data);
-      updateDolarData(sheet, lastRow, values, today);
+      var batch = createSheetsBatch('Dolar: actualización de hoy');
+      updateDolarData(batch, sheet, lastRow, values, today);
+      batch.commit();
       ui.alert('Datos actualizados correctamente con la última información disponible.');
     } else {
       ui.alert('No se pudieron obtener los datos actualizados. Por favor, intente nuevamente más tarde.');
@@ -225,7 +232,9 @@ function handleYesterdayUpdate(ui, sheet, lastRow) {
     var apiResponse = fetchDataFromApis(yesterday, 'historical');
     if (apiResponse) {
       var values = processHistoricalApiData(apiResponse.data);
-      updateDolarData(sheet, lastRow + 1, values, today);
+      var batch = createSheetsBatch('Dolar: valores de hoy según el cierre de ayer');
+      updateDolarData(batch, sheet, lastRow + 1, values, today);
+      batch.commit();
       ui.alert('Se han agregado los datos de hoy basados en el cierre de ayer.');
     } else {
       ui.alert('No se pudieron obtener los datos de ayer. Por favor, intente nuevamente más tarde.');
@@ -250,21 +259,31 @@ function handleHistoricalUpdate(ui, sheet, lastDate, today) {
   if (response === ui.Button.YES) {
     var yesterday = new Date(today);
     yesterday.setDate(yesterday.getDate() - 1);
+
+    // Los días hasta ayer y el de hoy se escriben en un solo lote
+    var batch = createSheetsBatch('Dolar: actualización hasta hoy');
+    var nextRow = sheet.getLastRow() + 1;
     
     // Actualizar datos históricos hasta ayer
     if (lastDate < yesterday) {
-      var historicResult = updateHistoricalValues(sheet, lastDate, yesterday);
+      var historicResult = updateHistoricalValues(sheet, lastDate, yesterday, batch);
       if (historicResult.error) {
         ui.alert('Error al actualizar datos históricos: ' + historicResult.error);
         return;
       }
+      nextRow += historicResult.rowsAdded;
     }
     
     // Agregar datos de hoy
     var apiResponse = fetchDataFromApis(today, 'current');
     if (apiResponse) {
       var values = processCurrentApiData(apiResponse.data);
-      updateDolarData(sheet, sheet.getLastRow() + 1, values, today);
+      updateDolarData(batch, sheet, nextRow, values, today);
+    }
+    batch.commit();
+    sortSheetByDate(sheet);
+
+    if (apiResponse) {
       ui.alert('Datos actualizados correctamente hasta hoy.');
     } else {
       ui.alert('No se pudieron obtener los datos de hoy. Se han actualizado los datos históricos hasta ayer.');
@@ -404,9 +423,11 @@ function processHistoricalApiData(data) {
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Hoja de cálculo a actualizar.
  * @param {Date} startDate - Fecha de inicio del rango.
  * @param {Date} endDate - Fecha de fin del rango.
- * @returns {Object} Resultado de la operación.
+ * @param {Object} [batch] - Lote en el que agregar las filas (ver createSheetsBatch). Si se indica, el llamador
+ *                           lo confirma y ordena la hoja; si no, las filas se escriben y ordenan al terminar.
+ * @returns {Object} Resultado de la operación, con rowsAdded: la cantidad de filas agregadas al final.
  */
-function updateHistoricalValues(sheet, startDate, endDate) {
+function updateHistoricalValues(sheet, startDate, endDate, batch) {
   CustomLogger.log('Actualizando valores históricos desde ' + formatDate(startDate) + ' hasta ' + formatDate(endDate));
   var startTime = new Date().getTime();
 
@@ -438,10 +459,14 @@ function updateHistoricalValues(sheet, startDate, endDate) {
       currentDate.setDate(currentDate.getDate() + 1);
     }
 
+    var ownBatch = !batch;
+    batch = batch || createSheetsBatch('Dolar: actualización por rango');
+
     // Actualizar filas existentes
     rowsToUpdate.forEach(update => {
       if (update.row > 0 && update.row <= sheet.getLastRow()) {
-        sheet.getRange(update.row, 1, 1, update.data.length).setValues([update.data]);
+        queueDolarDateFormats(batch, sheet, update.row, 1);
+        batch.setValues(sheet, update.row, 1, [update.data]);
       } else {
         CustomLogger.log('Fila inválida para actualizar: ' + update.row + '. Agregando como nueva fila.');
         rowsToAdd.push(update.data);
@@ -452,15 +477,20 @@ function updateHistoricalValues(sheet, startDate, endDate) {
     if (rowsToAdd.length > 0) {
       var startRow = sheet.getLastRow() + 1;
       var columnOrder = Object.values(Config.COLUMN_NAMES);
-      sheet.getRange(startRow, 1, rowsToAdd.length, columnOrder.length).setValues(rowsToAdd);
+      queueDolarDateFormats(batch, sheet, startRow, rowsToAdd.length);
+      batch.setValues(sheet, startRow, 1, rowsToAdd.map(row => row.slice(0, columnOrder.length)));
     }
 
-    sortSheetByDate(sheet);
+    if (ownBatch) {
+      batch.commit();
+      sortSheetByDate(sheet);
+    }
 
     var endTime = new Date().getTime();
     var duration = ((endTime - startTime) / 1000).toFixed(2);
     return {
       success: true,
+      rowsAdded: rowsToAdd.length,
       message: 'Se actualizó el tipo de cambio entre las fechas ' + formatDate(startDate, 'verbose') + ' y ' + formatDate(endDate, 'verbose') + '.\n\nSe actualizaron ' + rowsToUpdate.length + ' filas existentes y se agregaron ' + rowsToAdd.length + ' nuevas filas.\n\nEl proceso tomó ' + duration + ' segundos.'
     };
   } catch (error) {
@@ -535,9 +565,9 @@ function deleteExistingRows(sheet, startDate, endDate) {
     }
   }
 
-  for (var i = rowsToDelete.length - 1; i >= 0; i--) {
-    sheet.deleteRow(rowsToDelete[i]);
-  }
+  var batch = createSheetsBatch('Dolar: eliminación por rango');
+  batch.deleteRows(sheet, rowsToDelete);
+  batch.commit();
 }
 
 /**
@@ -573,7 +603,10 @@ function insertHistoricalData(sheet, rowsToAdd) {
   if (rowsToAdd.length > 0) {
     var startRow = sheet.getLastRow() + 1;
     var columnOrder = Object.values(Config.COLUMN_NAMES);
-    sheet.getRange(startRow, 1, rowsToAdd.length, columnOrder.length).setValues(rowsToAdd);
+    var batch = createSheetsBatch('Dolar: inserción de históricos');
+    queueDolarDateFormats(batch, sheet, startRow, rowsToAdd.length);
+    batch.setValues(sheet, startRow, 1, rowsToAdd.map(row => row.slice(0, columnOrder.length)));
+    batch.commit();
   }
 }
 
@@ -715,9 +748,9 @@ function removeDuplicateDates() {
       }
     }
 
-    for (var i = rowsToDelete.length - 1; i >= 0; i--) {
-      sheet.deleteRow(rowsToDelete[i]);
-    }
+    var batch = createSheetsBatch('Dolar: eliminación de duplicados');
+    batch.deleteRows(sheet, rowsToDelete);
+    batch.commit();
 
     getUI().alert('Se eliminaron ' + rowsToDelete.length + ' filas duplicadas.');
     CustomLogger.log('Se eliminaron ' + rowsToDelete.length + ' filas duplicadas');
@@ -1162,13 +1195,28 @@ function prepareRowData(date, apiResponse) {
 }
 
 /**
- * Actualiza los datos del dólar en la hoja de cálculo.
+ * Agrega al lote los formatos de las columnas de fecha de un bloque de filas de la hoja Dolar.
+ * @param {Object} batch - El lote de escrituras (ver createSheetsBatch).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - La hoja de cálculo.
+ * @param {number} row - La primera fila.
+ * @param {number} numRows - La cantidad de filas.
+ */
+function queueDolarDateFormats(batch, sheet, row, numRows) {
+  var columnOrder = Object.values(Config.COLUMN_NAMES);
+  var lastUpdateColumn = columnOrder.indexOf(Config.COLUMN_NAMES.LAST_UPDATE) + 1;
+  batch.setNumberFormats(sheet, row, numRows, columnOrder.indexOf(Config.COLUMN_NAMES.DATE) + 1, [Config.NUMBER_FORMATS.DATE]);
+  batch.setNumberFormats(sheet, row, numRows, lastUpdateColumn, [Config.NUMBER_FORMATS.DATE_TIME, Config.NUMBER_FORMATS.DATE_TIME]);
+}
+
+/**
+ * Agrega al lote los datos del dólar de una fila. El llamador confirma el lote.
+ * @param {Object} batch - El lote de escrituras (ver createSheetsBatch).
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - La hoja de cálculo.
  * @param {number} row - El número de fila a actualizar.
  * @param {Object} values - Los valores a insertar.
  * @param {Date} date - La fecha de los datos.
  */
-function updateDolarData(sheet, row, values, date) {
+function updateDolarData(batch, sheet, row, values, date) {
   CustomLogger.log('Actualizando datos del dólar para ' + formatDate(date));
   try {
     var columnOrder = Object.values(Config.COLUMN_NAMES);
@@ -1194,8 +1242,9 @@ function updateDolarData(sheet, row, values, date) {
       formatDate(fechaActualizacion, 'dateTime'), // Fecha y hora de los datos de la API + 3 horas
       formatDate(new Date(), 'dateTime') // Fecha y hora de modificación del registro
     ];
-    sheet.getRange(row, 1, 1, columnOrder.length).setValues([rowData]);
-    CustomLogger.log('Datos del dólar actualizados para ' + formatDate(date));
+    queueDolarDateFormats(batch, sheet, row, 1);
+    batch.setValues(sheet, row, 1, [rowData.slice(0, columnOrder.length)]);
+    CustomLogger.log('Datos del dólar agregados al lote para ' + formatDate(date));
   } catch (error) {
     CustomLogger.error('Error al actualizar datos del dólar para ' + formatDate(date) + ': ' + error.message);
     throw error;
@@ -1259,7 +1308,9 @@ function handleTodayUpdate(ui, sheet, lastRow) {
     var apiResponse = fetchDataFromApis(today, 'current');
     if (apiResponse) {
       var values = processCurrentApiData(apiResponse.data);
-      updateDolarData(sheet, lastRow, values, today);
+      var batch = createSheetsBatch('Dolar: actualización de hoy');
+      updateDolarData(batch, sheet, lastRow, values, today);
+      batch.commit();
       ui.alert('Datos actualizados correctamente con la última información disponible.');
     } else {
       ui.alert('No se pudieron obtener los datos actualizados. Por favor, intente nuevamente más tarde.');
@@ -1295,7 +1346,9 @@ function handleYesterdayUpdate(ui, sheet, lastRow) {
     var apiResponse = fetchDataFromApis(yesterday, 'historical');
     if (apiResponse) {
       var values = processHistoricalApiData(apiResponse.data);
-      updateDolarData(sheet, lastRow + 1, values, today);
+      var batch = createSheetsBatch('Dolar: valores de hoy según el cierre de ayer');
+      updateDolarData(batch, sheet, lastRow + 1, values, today);
+      batch.commit();
       ui.alert('Se han agregado los datos de hoy basados en el cierre de ayer.');
     } else {
       ui.alert('No se pudieron obtener los datos de ayer. Por favor, intente nuevamente más tarde.');
@@ -1320,21 +1373,31 @@ function handleHistoricalUpdate(ui, sheet, lastDate, today) {
   if (response === ui.Button.YES) {
     var yesterday = new Date(today);
     yesterday.setDate(yesterday.getDate() - 1);
+
+    // Los días hasta ayer y el de hoy se escriben en un solo lote
+    var batch = createSheetsBatch('Dolar: actualización hasta hoy');
+    var nextRow = sheet.getLastRow() + 1;
     
     // Actualizar datos históricos hasta ayer
     if (lastDate < yesterday) {
-      var historicResult = updateHistoricalValues(sheet, lastDate, yesterday);
+      var historicResult = updateHistoricalValues(sheet, lastDate, yesterday, batch);
       if (historicResult.error) {
         ui.alert('Error al actualizar datos históricos: ' + historicResult.error);
         return;
       }
+      nextRow += historicResult.rowsAdded;
     }
     
     // Agregar datos de hoy
     var apiResponse = fetchDataFromApis(today, 'current');
     if (apiResponse) {
       var values = processCurrentApiData(apiResponse.data);
-      updateDolarData(sheet, sheet.getLastRow() + 1, values, today);
+      updateDolarData(batch, sheet, nextRow, values, today);
+    }
+    batch.commit();
+    sortSheetByDate(sheet);
+
+    if (apiResponse) {
       ui.alert('Datos actualizados correctamente hasta hoy.');
     } else {
       ui.alert('No se pudieron obtener los datos de hoy. Se han actualizado los datos históricos hasta ayer.');
@@ -1383,9 +1446,11 @@ function fetchDataFromApis(date, apiType) {
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Hoja de cálculo a actualizar.
  * @param {Date} startDate - Fecha de inicio del rango.
  * @param {Date} endDate - Fecha de fin del rango.
- * @returns {Object} Resultado de la operación.
+ * @param {Object} [batch] - Lote en el que agregar las filas (ver createSheetsBatch). Si se indica, el llamador
+ *                           lo confirma y ordena la hoja; si no, las filas se escriben y ordenan al terminar.
+ * @returns {Object} Resultado de la operación, con rowsAdded: la cantidad de filas agregadas al final.
  */
-function updateHistoricalValues(sheet, startDate, endDate) {
+function updateHistoricalValues(sheet, startDate, endDate, batch) {
   CustomLogger.log('Actualizando valores históricos desde ' + formatDate(startDate) + ' hasta ' + formatDate(endDate));
   var startTime = new Date().getTime();
 
@@ -1417,10 +1482,14 @@ function updateHistoricalValues(sheet, startDate, endDate) {
       currentDate.setDate(currentDate.getDate() + 1);
     }
 
+    var ownBatch = !batch;
+    batch = batch || createSheetsBatch('Dolar: actualización por rango');
+
     // Actualizar filas existentes
     rowsToUpdate.forEach(update => {
       if (update.row > 0 && update.row <= sheet.getLastRow()) {
-        sheet.getRange(update.row, 1, 1, update.data.length).setValues([update.data]);
+        queueDolarDateFormats(batch, sheet, update.row, 1);
+        batch.setValues(sheet, update.row, 1, [update.data]);
       } else {
         CustomLogger.log('Fila inválida para actualizar: ' + update.row + '. Agregando como nueva fila.');
         rowsToAdd.push(update.data);
@@ -1431,15 +1500,20 @@ function updateHistoricalValues(sheet, startDate, endDate) {
     if (rowsToAdd.length > 0) {
       var startRow = sheet.getLastRow() + 1;
       var columnOrder = Object.values(Config.COLUMN_NAMES);
-      sheet.getRange(startRow, 1, rowsToAdd.length, columnOrder.length).setValues(rowsToAdd);
+      queueDolarDateFormats(batch, sheet, startRow, rowsToAdd.length);
+      batch.setValues(sheet, startRow, 1, rowsToAdd.map(row => row.slice(0, columnOrder.length)));
     }
 
-    sortSheetByDate(sheet);
+    if (ownBatch) {
+      batch.commit();
+      sortSheetByDate(sheet);
+    }
 
     var endTime = new Date().getTime();
     var duration = ((endTime - startTime) / 1000).toFixed(2);
     return {
       success: true,
+      rowsAdded: rowsToAdd.length,
       message: 'Se actualizó el tipo de cambio entre las fechas ' + formatDate(startDate, 'verbose') + ' y ' + formatDate(endDate, 'verbose') + '.\n\nSe actualizaron ' + rowsToUpdate.length + ' filas existentes y se agregaron ' + rowsToAdd.length + ' nuevas filas.\n\nEl proceso tomó ' + duration + ' segundos.'
     };
   } catch (error) {